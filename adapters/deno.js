@@ -0,0 +1,51 @@
+/**
+ * Edge Runner - Deno Adapter
+ * Copyright (c) 2025 Aidgn
+ * AGPL-3.0-or-later - See LICENSE file for details
+ *
+ * Deno and Deno Deploy: deno run --allow-net --allow-env --unstable-kv --unstable-cron adapters/deno.js
+ * Storage goes to Deno KV when available, the reassembly sweep to Deno.cron every minute.
+ * ORIGIN (passthrough URL), AI_URL and AI_KEY come from the environment like every other setting.
+ */
+
+import { waiter, proxy, bindings, handle, tick } from './platform.js';
+
+// KV-like binding over Deno KV, keys stored as [space, key]
+export function denokv(kv, space) {
+	return {
+		async get(key, type) {
+			const {value} = await kv.get([space, key]);
+			return value == null ? null : type === 'json' ? JSON.parse(value) : value;
+		},
+		async put(key, value, options = {}) {
+			await kv.set([space, key], String(value), options.expirationTtl ? {expireIn: options.expirationTtl * 1000} : undefined);
+		},
+		async delete(key) {
+			await kv.delete([space, key]);
+		},
+		async list({prefix = ''} = {}) {
+			const keys = [];
+			for await (const entry of kv.list({prefix: [space]})) if (entry.key[1].startsWith(prefix)) keys.push({name: entry.key[1]});
+			return {keys, list_complete: true};
+		}
+	};
+}
+
+// {fetch} for Deno.serve and tick() for Deno.cron
+// options: {env (default: Deno.env), ai, stores}
+export function deno({env = Deno.env.toObject(), ai, stores} = {}) {
+	const bound = bindings(env, {ai, stores});
+	const origin = proxy(env.ORIGIN), background = waiter(); // Deno keeps pending promises running after the response
+	return {
+		fetch: request => handle(request, bound, {waitUntil: background.waitUntil, origin}),
+		tick: () => tick(bound)
+	};
+}
+
+if (import.meta.main) {
+	const kv = Deno.openKv ? await Deno.openKv() : null;
+	if (!kv) console.error('🚨 Deno KV unavailable (--unstable-kv): stores live in this process only, Deno Deploy spreads requests over many');
+	const app = deno({stores: kv ? {SESSIONS: denokv(kv, 'sessions'), FRAGMENTS: denokv(kv, 'fragments'), JOURNEYS: denokv(kv, 'journeys'), BASELINES: denokv(kv, 'baselines')} : {}});
+	Deno.cron?.('edgerunner sweep', '* * * * *', app.tick);
+	Deno.serve({port: +(Deno.env.get('PORT') || 8000)}, app.fetch);
+}
@@ -0,0 +1,89 @@
+/**
+ * Edge Runner - Node Adapter
+ * Copyright (c) 2025 Aidgn
+ * AGPL-3.0-or-later - See LICENSE file for details
+ *
+ * Node HTTP server for local runs and self-hosting (Node 18+): node adapters/node.js
+ * PORT (default: 8787), ORIGIN (passthrough URL), AI_URL and AI_KEY come from the environment.
+ * Storage stays in memory unless stores are passed, JOURNEYS_FILE keeps archived journeys in a JSON file
+ * across restarts for /rhythm/report. The reassembly sweep runs every minute.
+ */
+
+import { createServer } from 'node:http';
+import { readFileSync, writeFileSync } from 'node:fs';
+import { pathToFileURL } from 'node:url';
+import { waiter, proxy, bindings, handle, tick } from './platform.js';
+
+// KV-like binding persisted to one JSON file, {key: {value, expires}}, fine for local runs
+export function file(path) {
+	let map;
+	try { map = JSON.parse(readFileSync(path, 'utf8')); } catch { map = {}; }
+	const save = () => writeFileSync(path, JSON.stringify(map));
+	const live = item => item && !(item.expires && item.expires <= Date.now());
+	return {
+		async get(key, type) {
+			const item = map[key];
+			if (!live(item)) return null;
+			return type === 'json' ? JSON.parse(item.value) : item.value;
+		},
+		async put(key, value, options = {}) {
+			map[key] = {value: String(value), expires: options.expirationTtl ? Date.now() + options.expirationTtl * 1000 : 0};
+			save();
+		},
+		async delete(key) {
+			delete map[key];
+			save();
+		},
+		async list({prefix = ''} = {}) {
+			return {keys: Object.keys(map).filter(name => name.startsWith(prefix) && live(map[name])).sort().map(name => ({name})), list_complete: true};
+		}
+	};
+}
+
+// IncomingMessage -> Request, signal aborts when the client disconnects
+async function request(req, signal) {
+	const headers = new Headers();
+	for (const [key, value] of Object.entries(req.headers)) if (value !== undefined) headers.set(key, Array.isArray(value) ? value.join(', ') : value);
+	const chunks = [];
+	if (req.method !== 'GET' && req.method !== 'HEAD') for await (const chunk of req) chunks.push(chunk);
+	return new Request(`http://${req.headers.host || 'localhost'}${req.url}`, {method: req.method, headers, body: chunks.length ? Buffer.concat(chunks) : undefined, signal});
+}
+
+// Response -> ServerResponse, every Set-Cookie kept separate, bodies streamed as they come (/rhythm/live)
+async function respond(response, res) {
+	const headers = {};
+	for (const [key, value] of response.headers) if (key !== 'set-cookie') headers[key] = value;
+	const cookies = response.headers.getSetCookie();
+	if (cookies.length) headers['set-cookie'] = cookies;
+	res.writeHead(response.status, headers);
+	if (response.body) for await (const chunk of response.body) res.write(chunk);
+	res.end();
+}
+
+// (req, res) listener for http.createServer, with tick() for the sweep
+// options: {env (default: process.env), ai, stores}
+export function node({env = process.env, ai, stores} = {}) {
+	const bound = bindings(env, {ai, stores});
+	const origin = proxy(env.ORIGIN), background = waiter();
+	const listener = async (req, res) => {
+		const abort = new AbortController();
+		res.on('close', () => abort.abort());
+		try {
+			await respond(await handle(await request(req, abort.signal), bound, {waitUntil: background.waitUntil, origin}), res);
+		} catch (error) {
+			console.error('🚨 request failed: ' + error.message);
+			if (!res.headersSent) res.writeHead(500);
+			res.end();
+		}
+	};
+	listener.tick = () => tick(bound);
+	listener.settle = background.settle; // Await background work, e.g. before shutdown
+	return listener;
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href) {
+	const listener = node({stores: process.env.JOURNEYS_FILE ? {JOURNEYS: file(process.env.JOURNEYS_FILE)} : {}});
+	const port = +(process.env.PORT || 8787);
+	createServer(listener).listen(port, () => console.log(`✅ Edge Runner on http://localhost:${port}`));
+	setInterval(() => listener.tick().catch(error => console.error('⚠️ sweep: ' + error.message)), 60000).unref();
+}
@@ -0,0 +1,98 @@
+/**
+ * Edge Runner - Platform Adapters
+ * Copyright (c) 2025 Aidgn
+ * AGPL-3.0-or-later - See LICENSE file for details
+ *
+ * Shared pieces for running the core (fetch(request, env, ctx) in edgerunner.js) outside Cloudflare Workers.
+ * Each adapter supplies what Workers has built in:
+ * - waitUntil: waiter() tracks background work and logs its failures
+ * - AI binding: openai() speaks the OpenAI-compatible HTTP API with the same run(model, args) as env.fullscore
+ * - Origin fetcher: proxy() forwards passthrough requests to ORIGIN
+ * - Storage: KV-like bindings for SESSIONS, FRAGMENTS, JOURNEYS and BASELINES, memory() from store.js by default.
+ *   Memory is per instance: fine for one Node process, wrong on serverless where requests and cron runs land on
+ *   different instances. Serverless adapters pass fallback: null, so a missing store switches its features off loudly.
+ * - Live feed: with the memory fallback env.LIVE is a hub() of this process, serverless adapters need one passed in
+ */
+
+import runner from '../edgerunner.js';
+import { memory } from '../store.js';
+import { hub } from '../live.js';
+
+// waitUntil shim for runtimes without one, settle() resolves once every tracked promise is done
+export function waiter() {
+	const pending = new Set();
+	return {
+		waitUntil(promise) {
+			const task = Promise.resolve(promise).catch(error => console.error('⚠️ waitUntil: ' + error?.message)).finally(() => pending.delete(task));
+			pending.add(task);
+		},
+		async settle() {
+			while (pending.size) await Promise.all(pending); // Tasks may add more tasks
+		}
+	};
+}
+
+// Origin fetcher, rewrites the request onto base (e.g. https://origin.example.com), 404 without one
+export function proxy(base) {
+	return async request => {
+		if (!base) return new Response('Not Found', {status: 404});
+		const url = new URL(request.url);
+		const headers = new Headers(request.headers);
+		headers.delete('host');
+		const body = request.method === 'GET' || request.method === 'HEAD' ? undefined : await request.arrayBuffer();
+		return fetch(new URL(url.pathname + url.search, base), {method: request.method, headers, body, redirect: 'manual'});
+	};
+}
+
+// AI binding over an OpenAI-compatible API: {input} goes to /responses, {messages} to /chat/completions
+// Workers AI names lose their @cf/ prefix, e.g. @cf/openai/gpt-oss-20b -> openai/gpt-oss-20b
+export function openai({url = 'https://api.openai.com/v1', key} = {}) {
+	return {
+		async run(model, args) {
+			const response = await fetch(url.replace(/\/$/, '') + (args.input !== undefined ? '/responses' : '/chat/completions'), {
+				method: 'POST',
+				headers: {'Content-Type': 'application/json', ...(key ? {Authorization: `Bearer ${key}`} : {})},
+				body: JSON.stringify({model: model.replace(/^@cf\//, ''), ...args})
+			});
+			if (!response.ok) throw new Error(`AI responded ${response.status}`);
+			return response.json();
+		}
+	};
+}
+
+// Storage bindings and what they back, named when one is missing
+const STORES = {
+	SESSIONS: 'session state (STREAMING.STATE)',
+	FRAGMENTS: 'reassembly (ARCHIVING.REASSEMBLE)',
+	JOURNEYS: "the 'journeys' sink, /rhythm/report and learning",
+	BASELINES: 'adaptive baselines'
+};
+
+// env for the core: platform variables plus the AI binding and storage
+// fallback: factory for stores not passed, memory() keeps them in this instance only, null leaves them unset
+// With a fallback, env.LIVE also defaults to a hub() of this process for /rhythm/live
+export function bindings(vars, {ai, stores = {}, fallback = memory} = {}) {
+	const env = {...vars}, missing = [];
+	if (ai) env.fullscore = ai;
+	else if (vars.AI_KEY || vars.AI_URL) env.fullscore = openai({url: vars.AI_URL, key: vars.AI_KEY});
+	for (const name in STORES) {
+		if (stores[name]) env[name] = stores[name];
+		else if (fallback) env[name] = fallback();
+		else missing.push(name);
+	}
+	if (!env.LIVE && fallback) env.LIVE = hub();
+	if (missing.length) console.error(`🚨 No ${missing.join(', ')} store, off: ${missing.map(name => STORES[name]).join('; ')}. Pass stores shared by every instance`);
+	return env;
+}
+
+// Run the core for one request, ctx built from waitUntil and origin
+export function handle(request, env, {waitUntil, origin}) {
+	return runner.fetch(request, env, {waitUntil, origin});
+}
+
+// Run the scheduled work (reassembly sweep) once and wait for it
+export async function tick(env) {
+	const background = waiter();
+	await runner.scheduled({scheduledTime: Date.now(), cron: ''}, env, background);
+	await background.settle();
+}
@@ -0,0 +1,61 @@
+/**
+ * Edge Runner - Vercel Adapter
+ * Copyright (c) 2025 Aidgn
+ * AGPL-3.0-or-later - See LICENSE file for details
+ *
+ * Vercel Functions (edge runtime) and Next.js middleware.
+ *
+ * middleware.js in a Next.js app:
+ *   import { vercel } from './edgerunner/adapters/vercel.js';
+ *   export const middleware = vercel({middleware: true});
+ *   export const config = {matcher: '/rhythm/:path*'};
+ *
+ * Standalone function (api/rhythm.js) with ORIGIN set for passthrough requests:
+ *   export const config = {runtime: 'edge'};
+ *   export default vercel();
+ *
+ * Reassembly sweep: a Vercel Cron job calling a route that exports cron(), guarded by CRON_SECRET.
+ * Every invocation may run on a fresh instance, so nothing falls back to memory: pass stores (KV-like bindings,
+ * e.g. over Upstash Redis) for SESSIONS, FRAGMENTS, JOURNEYS and BASELINES, missing ones switch their features off.
+ * vercel() and cron() over the same env share one set of bindings, cron() without stores uses the handler's.
+ */
+
+import { waiter, proxy, bindings, handle, tick } from './platform.js';
+
+const next = () => new Response(null, {headers: {'x-middleware-next': '1'}}); // NextResponse.next() without the next/server import
+const BOUND = new WeakMap(); // Bindings per env, shared by vercel() and cron()
+
+// Bindings for env, reused unless new ai or stores are passed
+function shared(env, {ai, stores}) {
+	if (!ai && !stores && BOUND.has(env)) return BOUND.get(env);
+	const bound = bindings(env, {ai, stores, fallback: null});
+	BOUND.set(env, bound);
+	return bound;
+}
+
+// Handler for (request, context), context.waitUntil when Vercel provides it
+// options: {env (default: process.env), ai, stores, middleware: hand passthrough back to Next.js}
+export function vercel({env = globalThis.process?.env ?? {}, ai, stores, middleware = false} = {}) {
+	const bound = shared(env, {ai, stores});
+	const origin = middleware ? async () => next() : proxy(env.ORIGIN);
+	return async (request, context) => {
+		if (context?.waitUntil) return handle(request, bound, {waitUntil: promise => context.waitUntil(promise), origin});
+		const background = waiter(); // No waitUntil: finish background work before responding
+		const response = await handle(request, bound, {waitUntil: background.waitUntil, origin});
+		await background.settle();
+		return response;
+	};
+}
+
+// Cron route handler, Vercel sends Authorization: Bearer CRON_SECRET
+export function cron({env = globalThis.process?.env ?? {}, ai, stores} = {}) {
+	const bound = shared(env, {ai, stores});
+	return async request => {
+		if (env.CRON_SECRET && request.headers.get('Authorization') !== `Bearer ${env.CRON_SECRET}`) return new Response('Unauthorized', {status: 401});
+		await tick(bound);
+		return new Response('OK');
+	};
+}
+
+let handler;
+export default (request, context) => (handler ||= vercel())(request, context); // Bound on the first request, so importing vercel() for your own handler leaves this one unbound
@@ -0,0 +1,11 @@
+/**
+ * Edge Runner - Cloudflare Workers Adapter
+ * Copyright (c) 2025 Aidgn
+ * AGPL-3.0-or-later - See LICENSE file for details
+ *
+ * Workers already provide everything the core needs: ctx.waitUntil, the AI binding (env.fullscore),
+ * KV bindings (env.SESSIONS, env.FRAGMENTS) and fetch(request) reaching the origin on routed zones.
+ * main = "adapters/workers.js" in wrangler.toml, or point it at edgerunner.js directly.
+ */
+
+export { default } from '../edgerunner.js';
@@ -0,0 +1,206 @@
+/**
+ * Edge Runner - Adaptive Baselines
+ * Copyright (c) 2025 Aidgn
+ * AGPL-3.0-or-later - See LICENSE file for details
+ *
+ * Per-site (host) and per-device baselines learned from archived journeys (the 'journeys' sink).
+ * The constants in rules.js misfire where normal users look shallow or monotonous, e.g. single-page apps and kiosks.
+ * - gather(): human sessions of archived journeys into a pool kept across runs, the newest per group
+ * - learn(): human distributions per group: interval percentiles, interval spread, element diversity,
+ *   depth mix and pages per session, the thresholds where TAIL of those sessions would still fire,
+ *   and two-sided bounds: the TAIL and 1 - TAIL percentiles of each session feature
+ * - tuned(): rules for one session, NoVariance, Surface and Monotonous scored against its group's thresholds,
+ *   plus Deviation, which fires when DEVIATION.features or more features fall outside the group's bounds on either side,
+ *   live cookies checked on the ratio features only
+ * - Snapshots are versioned in a KV-like binding: baseline:<version> and the baseline:current pointer, so a bad one rolls back,
+ *   next to baseline:pool, the gathered sessions
+ *
+ * Learned thresholds move either way but stay within each rule's range: a snapshot learned from traffic with
+ * undetected bots in it, or from an unusually uniform crowd, can shift detection only so far. Sessions caught by
+ * the timing rules or judged Bot-like by the insight are left out of learning. Element names hashed by PRIVACY
+ * keep diversity but lose their depth. Journeys archived without a site (ARCHIVING.HOST off) learn into the '*' groups.
+ */
+
+import { RULES, evaluate } from './rules.js';
+import { parse } from './beat.js';
+
+// Rules scored against the baseline: limit key, learned feature, which end of the distribution fires,
+// and the range a learned threshold is held to around the rules.js limit
+const ADAPTED = {
+	NoVariance: {key: 'spread', feature: 'spread', low: true, range: [50, 400]},
+	Surface: {key: 'ratio', feature: 'shallow', low: false, range: [0.8, 1]},
+	Monotonous: {key: 'diversity', feature: 'diversity', low: true, range: [0.05, 0.3]}
+};
+// Deviation: default weight, features outside their bounds before it fires, the features it checks on whole journeys,
+// and on partial ones (live rhythm_N cookies), where pages, pace and spread still grow with the session
+export const DEVIATION = {weight: 0.4, features: 2, checked: ['pace', 'spread', 'shallow', 'diversity', 'pages'], partial: ['shallow', 'diversity']};
+const POINTER = 'baseline:current';
+const POOL = 'baseline:pool'; // Sessions gathered so far and the time learning read up to
+const SAMPLE = 20; // Intervals and depths kept per pooled session
+const slot = version => `baseline:${String(version).padStart(13, '0')}`; // baseline:1735689600000
+
+const rule = name => RULES.find(r => r.name === name);
+const round = (x, digits = 3) => +x.toFixed(digits);
+
+// Value at quantile q of a sorted list
+function at(list, q) {
+	return list[Math.min(list.length - 1, Math.floor(q * list.length))];
+}
+
+// p10~p90 of a list, or null when empty
+function percentiles(list, digits) {
+	if (!list.length) return null;
+	list = list.slice().sort((a, b) => a - b);
+	return {n: list.length, p10: round(at(list, 0.1), digits), p25: round(at(list, 0.25), digits), p50: round(at(list, 0.5), digits), p75: round(at(list, 0.75), digits), p90: round(at(list, 0.9), digits)};
+}
+
+// Features of one session, each only when its rule would have enough sample to run
+function features(data) {
+	const out = {pages: data.events.filter(e => e.type === 'page').length, intervals: data.events.filter(e => e.type === 'interval').map(e => e.ms), depths: []};
+	const variance = rule('NoVariance'), surface = rule('Surface'), monotonous = rule('Monotonous');
+	if (out.intervals.length >= 4) out.pace = at(out.intervals.slice().sort((a, b) => a - b), 0.5); // Median interval
+	if (variance) {
+		const ms = variance.sample(data);
+		const average = ms.length ? ms.reduce((x, y) => x + y) / ms.length : 0;
+		if (ms.length >= variance.min && average > variance.limit.average) out.spread = Math.sqrt(ms.reduce((s, x) => s + (x - average) ** 2, 0) / ms.length);
+	}
+	if (surface) {
+		const names = surface.sample(data);
+		out.depths = names.map(name => parseInt(name));
+		if (names.length >= surface.min) out.shallow = out.depths.filter(depth => depth <= surface.limit.depth).length / names.length;
+	}
+	if (monotonous) {
+		const names = monotonous.sample(data);
+		if (names.length >= monotonous.min) out.diversity = new Set(names).size / names.length;
+	}
+	return out;
+}
+
+// Human sessions only: no timing rule fired and the insight didn't call it Bot-like
+function human(record, data) {
+	if ([record.insight?.behavior, record.baseline?.behavior].includes('Bot-like')) return false;
+	return !evaluate(data, RULES.filter(r => !ADAPTED[r.name]));
+}
+
+// Distributions and learned thresholds of one group, tail: share of sessions allowed past a threshold
+function describe(list, tail) {
+	const depths = list.flatMap(f => f.depths), mix = {};
+	for (const depth of depths) mix[depth >= 5 ? '5+' : depth] = (mix[depth >= 5 ? '5+' : depth] || 0) + 1;
+	for (const key in mix) mix[key] = round(mix[key] / depths.length);
+	const limits = {};
+	for (const name in ADAPTED) {
+		const {key, feature, low} = ADAPTED[name];
+		const values = list.map(f => f[feature]).filter(x => x !== undefined).sort((a, b) => a - b);
+		if (values.length >= Math.ceil(1 / tail)) limits[name] = {[key]: round(at(values, low ? tail : 1 - tail))}; // Too few sessions can't place the tail
+	}
+	const bounds = {};
+	for (const name of DEVIATION.checked) {
+		const values = list.map(f => f[name]).filter(x => x !== undefined).sort((a, b) => a - b);
+		if (values.length >= Math.ceil(1 / tail)) bounds[name] = [round(at(values, tail)), round(at(values, 1 - tail))];
+	}
+	return {
+		sessions: list.length,
+		intervals: percentiles(list.flatMap(f => f.intervals), 0),
+		spread: percentiles(list.map(f => f.spread).filter(x => x !== undefined), 0),
+		diversity: percentiles(list.map(f => f.diversity).filter(x => x !== undefined)),
+		shallow: percentiles(list.map(f => f.shallow).filter(x => x !== undefined)),
+		depth: mix,
+		pages: percentiles(list.map(f => f.pages), 0),
+		limits,
+		bounds
+	};
+}
+
+// Add archived journeys to the pool of human sessions kept across recomputations
+// Groups 'site:device' and 'site:*' (all devices), each holding its newest keep sessions,
+// so groups too small for one run's read fill up over several. Intervals and depths are capped per session.
+// pool: {sessions, skipped, groups} from the previous run, options: {keep}
+export function gather(records, pool, {keep = 2000} = {}) {
+	const groups = Object.fromEntries(Object.entries(pool?.groups || {}).map(([key, list]) => [key, list.slice()]));
+	let sessions = pool?.sessions || 0, skipped = pool?.skipped || 0;
+	for (const record of records) {
+		let data;
+		try { data = parse(record.beat || ''); } catch { skipped++; continue; }
+		if (!human(record, data)) { skipped++; continue; }
+		sessions++;
+		const f = features(data), site = record.site || '*';
+		f.intervals = f.intervals.slice(0, SAMPLE);
+		f.depths = f.depths.slice(0, SAMPLE);
+		(groups[`${site}:${record.device ?? '*'}`] ||= []).push(f);
+		if (record.device !== undefined) (groups[`${site}:*`] ||= []).push(f);
+	}
+	for (const key in groups) groups[key] = groups[key].slice(-keep);
+	return {sessions, skipped, groups};
+}
+
+// Learn a baseline snapshot from a pool (gather()), groups kept when they hold min human sessions
+// options: {min, tail, now}
+export function learn(pool, {min = 200, tail = 0.05, now = Date.now()} = {}) {
+	const described = {};
+	for (const key of Object.keys(pool.groups).sort()) if (pool.groups[key].length >= min) described[key] = describe(pool.groups[key], tail);
+	return {version: now, created: new Date(now).toISOString(), sessions: pool.sessions, skipped: pool.skipped, min, tail, groups: described};
+}
+
+// Rules for one session: the group's learned thresholds over RULES within their ranges, plus Deviation, or RULES without a group
+// Site groups first, then the '*' groups of journeys archived without a site
+// options: {deviation: Deviation weight, 0 leaves it out, partial: scoring a session still in progress}
+export function tuned(snapshot, site, device, {deviation = DEVIATION.weight, partial = false} = {}) {
+	const groups = snapshot?.groups || {};
+	const group = groups[`${site || '*'}:${device}`] || groups[`${site || '*'}:*`] || groups[`*:${device}`] || groups['*:*'];
+	if (!group) return RULES;
+	const rules = RULES.map(r => {
+		const learned = group.limits[r.name]?.[ADAPTED[r.name]?.key];
+		if (learned === undefined) return r;
+		const {key, range: [min, max]} = ADAPTED[r.name];
+		return {...r, limit: {...r.limit, [key]: Math.min(max, Math.max(min, learned))}};
+	});
+	const bounds = Object.fromEntries(Object.entries(group.bounds || {}).filter(([name]) => DEVIATION[partial ? 'partial' : 'checked'].includes(name))); // Snapshots before bounds existed have none
+	return deviation > 0 && Object.keys(bounds).length >= DEVIATION.features ? rules.concat(outlier(bounds, deviation)) : rules;
+}
+
+// Deviation rule over a group's bounds, detail lists the features out of range and on which side: pace-/pages+
+function outlier(bounds, weight) {
+	return {name: 'Deviation', weight, min: 1, limit: {features: DEVIATION.features, bounds}, sample: data => [features(data)], test([f], limit) {
+		const out = Object.keys(limit.bounds).filter(name => f[name] !== undefined && (f[name] < limit.bounds[name][0] || f[name] > limit.bounds[name][1]));
+		return out.length >= limit.features ? out.map(name => name + (f[name] < limit.bounds[name][0] ? '-' : '+')).join('/') : null;
+	}};
+}
+
+// Current snapshot, or null before the first one
+// store: kv() JSON store from store.js
+export async function current(store) {
+	const version = await store.get(POINTER);
+	return version ? store.get(slot(version)) : null;
+}
+
+// Stored versions, oldest first
+export async function versions(store) {
+	return (await store.list('baseline:')).filter(key => key !== POINTER && key !== POOL).map(key => +key.split(':')[1]);
+}
+
+// Pool of gathered sessions with since, the archive time the last run read up to, or null before the first run
+export async function pooled(store) {
+	return store.get(POOL);
+}
+
+// Store the pool for the next run
+export async function keep(store, pool) {
+	await store.put(POOL, pool);
+}
+
+// Store a snapshot as the current one, keeping the newest keep versions (and the current one)
+export async function save(store, snapshot, keep = 10) {
+	await store.put(slot(snapshot.version), snapshot);
+	await store.put(POINTER, snapshot.version);
+	const list = await versions(store);
+	for (const version of list.slice(0, Math.max(0, list.length - keep))) if (version !== snapshot.version) await store.delete(slot(version));
+	return snapshot;
+}
+
+// Point current back at a stored version
+export async function rollback(store, version) {
+	const snapshot = await store.get(slot(version));
+	if (!snapshot) throw new Error(`No stored baseline ${version}`);
+	await store.put(POINTER, snapshot.version);
+	return snapshot;
+}
@@ -0,0 +1,110 @@
+/**
+ * Edge Runner - BEAT Parser
+ * Copyright (c) 2025 Aidgn
+ * AGPL-3.0-or-later - See LICENSE file for details
+ *
+ * Behavioral Event Analytics Transform grammar lives here and only here.
+ * Handlers and detectors read BEAT through parse() and write it back through serialize(),
+ * so a token change or grammar fix never needs a second regex elsewhere.
+ *
+ * rhythm_N cookie value: field_time_hash_device_referrer_scrolls_clicks_duration_beat
+ * Events: page, element, interval, repeat, tab
+ */
+
+const GRAMMAR = new WeakMap(); // Compiled tokenizer per TOK object
+const RE_HEADER = /^\d*_\d*_[0-9A-Za-z-]*_\d+_\d+_\d+_\d+_\d+(?:_|$)/; // field_time_hash_device_referrer_scrolls_clicks_duration_
+
+export let TIC = 100; // 🚨 Important: BEAT Tick must match Full Score, BEAT_TIC overrides it at runtime (config.js)
+export let TOK = { P:'!', E:'*', T:'~', A:'/', L:'-' }; // 🚨 Important: BEAT Token must match Full Score, BEAT_TOK overrides it at runtime (config.js)
+export const HEADER = ['field', 'time', 'hash', 'device', 'referrer', 'scrolls', 'clicks', 'duration'];
+export const EX_DEFAULT = `${TOK.P}home${TOK.T}23.7${TOK.E}nav-2${TOK.T}190.8${TOK.E}nav-3${TOK.T}37.5${TOK.A}12.3${TOK.E}help${TOK.T}112.8${TOK.E}more-1${TOK.T}4.3${TOK.P}prod${TOK.T}103.4${TOK.E}button-12${TOK.T}105.0${TOK.E}p1___2${TOK.P}p1${TOK.T}240.3${TOK.E}img-1${TOK.T}119.4${TOK.E}buy-1${TOK.T}1.3${TOK.A}0.8${TOK.A}0.8${TOK.E}buy-1-up${TOK.T}53.2${TOK.E}review${TOK.T}14.0${TOK.P}review${TOK.T}201.8${TOK.E}nav-1___1${TOK.T}659.0${TOK.E}mycart___3${TOK.P}cart`;
+export const EX_EVENTS = parseBeat(EX_DEFAULT); // Example journey as events, serialize() them with the runtime Token
+export const EX_SPACE = serialize(EX_EVENTS, {space: true, seconds: true});
+
+// Switch BEAT Tick and Token at runtime, validated by config.js beforehand
+// A new TOK object only when a symbol changed, so the compiled tokenizer stays cached
+export function configure({tic = TIC, tok = TOK} = {}) {
+	TIC = tic;
+	if (['P', 'E', 'T', 'A', 'L'].some(key => tok[key] !== TOK[key])) TOK = {...tok};
+}
+
+// Escape a token for use inside a character class or as a literal
+function escape(symbol) {
+	return symbol.replace(/[\\^$.*+?()[\]{}|\-\/]/g, '\\$&');
+}
+
+// Build (once per TOK) the sticky tokenizer: tab switch | page/element name | interval/repeat number
+function grammar(tok) {
+	let re = GRAMMAR.get(tok);
+	if (!re) {
+		const [p, e, t, a] = [tok.P, tok.E, tok.T, tok.A].map(escape);
+		re = new RegExp(`\\s*(?:___(\\d+)|([${p}${e}])((?:(?!___\\d)[^${p}${e}${t}${a}\\s])+)|([${t}${a}])(\\d+(?:\\.\\d+)?))`, 'y');
+		GRAMMAR.set(tok, re);
+	}
+	return re;
+}
+
+// Parse a bare or merged beat (compact or spaced) into events
+// Integer intervals are ticks (cookie form), decimal intervals are seconds (merged form)
+export function parseBeat(beat, {tok = TOK, tic = TIC} = {}) {
+	const re = grammar(tok), events = [];
+	beat = beat.trimEnd();
+	re.lastIndex = 0;
+	while (re.lastIndex < beat.length) {
+		const at = re.lastIndex, m = re.exec(beat);
+		if (!m) throw new SyntaxError(`Invalid BEAT at ${at}: ${beat.slice(at, at + 16)}`);
+		if (m[1]) events.push({type: 'tab', tab: +m[1]});
+		else if (m[2]) events.push({type: m[2] === tok.P ? 'page' : 'element', name: m[3]});
+		else events.push({type: m[4] === tok.T ? 'interval' : 'repeat', ms: m[5].includes('.') ? Math.round(m[5] * 1000) : m[5] * tic});
+	}
+	return events;
+}
+
+// Parse a rhythm_N cookie value (header + beat) or a bare/merged beat
+// header: require the rhythm header, for values straight from cookies and echo bodies
+export function parse(value, opts = {}) {
+	const tok = opts.tok || TOK;
+	if (!opts.header && value.trimStart().startsWith(tok.P)) return {beat: value, events: parseBeat(value, opts)};
+	if (!RE_HEADER.test(value)) throw new SyntaxError(`Invalid rhythm header: ${value.slice(0, 32)}`);
+	const parts = value.split('_');
+	const beat = parts.slice(HEADER.length).join('_');
+	return {
+		field: parts[0],
+		time: parts[1],
+		hash: parts[2],
+		device: +parts[3],
+		referrer: +parts[4],
+		scrolls: +parts[5],
+		clicks: +parts[6],
+		duration: +parts[7],
+		beat,
+		events: parseBeat(beat, opts)
+	};
+}
+
+// Serialize events back to BEAT
+// space: spaced form (like ARCHIVING.SPACE), seconds: decimal seconds instead of integer ticks
+export function serialize(events, {tok = TOK, tic = TIC, space = false, seconds = false} = {}) {
+	let out = '';
+	for (const e of events) {
+		if (space && out && e.type !== 'repeat') out += ' ';
+		if (e.type === 'tab') out += '___' + e.tab;
+		else if (e.type === 'page') out += tok.P + e.name;
+		else if (e.type === 'element') out += tok.E + e.name;
+		else out += (e.type === 'interval' ? tok.T : tok.A) + (seconds ? (e.ms / 1000).toFixed(1) : Math.round(e.ms / tic));
+	}
+	return out;
+}
+
+// Serialize a parsed rhythm back to its cookie value (compact, ticks)
+export function serializeRhythm(data, opts = {}) {
+	return HEADER.map(key => data[key] ?? '').join('_') + '_' + serialize(data.events, {...opts, space: false, seconds: false});
+}
+
+// Collect rhythm_N=value pairs from a Cookie header or an echo body
+// number is NaN when N is not numeric, raw is the whole pair as found
+export function rhythms(text) {
+	const list = [];
+	for (const m of text.matchAll(/rhythm_(\w*)=([^;\s]*?)(?=[;\s]|rhythm_\w*=|$)/g)) list.push({number: /^\d+$/.test(m[1]) ? +m[1] : NaN, value: m[2], raw: m[0]});
+	return list;
+}
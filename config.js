@@ -0,0 +1,191 @@
+/**
+ * Edge Runner - Runtime Config
+ * Copyright (c) 2025 Aidgn
+ * AGPL-3.0-or-later - See LICENSE file for details
+ *
+ * Overrides for STREAMING, ARCHIVING, PRIVACY, ADAPTIVE and BEAT (TIC, TOK) without a code edit, checked against SCHEMA.
+ * The constants in edgerunner.js and beat.js stay the defaults. Sources, later wins:
+ * - env.EDGERUNNER: JSON binding or string, e.g. {"ARCHIVING": {"TYPE": 8, "MODEL": "@cf/openai/gpt-oss-120b"}}
+ * - Variables named SECTION_KEY: ARCHIVING_LOG=false, ARCHIVING_SINKS=log,bucket, PRIVACY_RETENTION={"journeys":2592000}, BEAT_TIC=100, BEAT_TOK=!*~/-
+ *
+ * Every problem is collected into one list, so a bad deploy shows all of them at once.
+ */
+
+import { has } from './prompts.js';
+import { selector } from './human.js';
+
+const OCTET = /^[\x21\x23-\x2B\x2D-\x3A\x3C-\x5B\x5D-\x7E]$/; // RFC 6265 cookie-octet
+const RESERVED = /^[0-9A-Za-z_.]$/; // Names, numbers (1.3) and field separators
+const SYMBOLS = ['P', 'E', 'T', 'A', 'L'];
+
+const bool = {type: 'boolean'};
+const level = {type: 'integer', min: 0, max: 2};
+const seconds = {type: 'integer', min: 0};
+
+export const SCHEMA = {
+	STREAMING: {
+		LOG: bool, TIME: bool, HASH: bool, BOT: bool, HUMAN: bool,
+		CHALLENGE: {type: 'number', min: 0, max: 1},
+		BLOCK: {type: 'number', min: 0, max: 1},
+		SIGN: bool, UNSIGNED: level, FORGED: level, GRACE: seconds,
+		STATE: bool, TTL: {type: 'integer', min: 60}, DECAY: seconds
+	},
+	ARCHIVING: {
+		LOG: bool, TIME: bool, HASH: bool, SPACE: bool,
+		MAX: {type: 'integer', min: 1},
+		REASSEMBLE: bool, IDLE: seconds, AGE: seconds,
+		SINKS: {type: 'list', values: ['log', 'bucket', 'queue', 'journeys', 'webhook']}, // Custom {write} sinks only from code
+		FUNNEL: {type: 'list'},
+		HOST: bool, BASELINE: bool, AI: bool,
+		MODEL: {type: 'string'},
+		BOUNCE: seconds,
+		PROMPT: {type: 'prompt'},
+		JSON: bool,
+		RETRY: {type: 'integer', min: 0, max: 5},
+		TYPE: {type: 'integer', min: 1},
+		SITE: {type: 'list'}
+	},
+	PRIVACY: {
+		REDACT: bool,
+		ALLOW: {type: 'selectors'},
+		DENY: {type: 'selectors'},
+		SCRUB: {type: 'patterns'}, // Use the JSON array form in variables when a regex holds a comma
+		HASH: bool,
+		COARSEN: seconds,
+		RETENTION: {type: 'retention', values: ['journeys', 'bucket']},
+		K: seconds
+	},
+	ADAPTIVE: {
+		APPLY: bool, LEARN: bool,
+		EVERY: {type: 'integer', min: 60},
+		LIMIT: {type: 'integer', min: 1, max: 500},
+		MIN: {type: 'integer', min: 1},
+		TAIL: {type: 'number', min: 0.001, max: 0.5},
+		DEVIATION: {type: 'number', min: 0, max: 1},
+		KEEP: {type: 'integer', min: 1},
+		POOL: {type: 'integer', min: 1},
+		CACHE: seconds
+	},
+	BEAT: {
+		TIC: {type: 'integer', min: 1},
+		TOK: {type: 'tok'}
+	}
+};
+
+// Relations between settings, checked after every value passed on its own
+const CHECKS = [
+	c => c.STREAMING.CHALLENGE <= c.STREAMING.BLOCK || `STREAMING.CHALLENGE (${c.STREAMING.CHALLENGE}) must not exceed STREAMING.BLOCK (${c.STREAMING.BLOCK})`,
+	c => c.ARCHIVING.TYPE <= c.ARCHIVING.SITE.length || `ARCHIVING.TYPE must be 1~${c.ARCHIVING.SITE.length} (entries in ARCHIVING.SITE), got ${c.ARCHIVING.TYPE}`
+];
+
+// Text from a variable into the type the schema expects, values from the JSON binding pass as they are
+function coerce(text, rule) {
+	text = text.trim();
+	if (rule.type === 'boolean') return text === 'true' || text === '1' ? true : text === 'false' || text === '0' ? false : text;
+	if (rule.type === 'integer' || rule.type === 'number' || rule.type === 'prompt') return text !== '' && !isNaN(text) ? +text : text;
+	if (rule.type === 'retention') return JSON.parse(text);
+	if (rule.type === 'list' || rule.type === 'selectors' || rule.type === 'patterns') return text.startsWith('[') ? JSON.parse(text) : text.split(',').map(s => s.trim()).filter(Boolean);
+	if (rule.type === 'tok') return text.startsWith('{') ? JSON.parse(text) : Object.fromEntries(SYMBOLS.map((key, i) => [key, text[i]]));
+	return text;
+}
+
+// Problem with one value, or null
+// tok: the Token this config applies, selectors are written in it
+function check(value, rule, name, tok) {
+	const range = rule.max !== undefined ? `${rule.min}~${rule.max}` : `${rule.min} or more`;
+	switch (rule.type) {
+		case 'boolean':
+			return typeof value === 'boolean' ? null : `${name} must be true or false, got ${JSON.stringify(value)}`;
+		case 'integer':
+		case 'number':
+			if (typeof value !== 'number' || !Number.isFinite(value) || (rule.type === 'integer' && !Number.isInteger(value))) return `${name} must be ${rule.type === 'integer' ? 'an integer' : 'a number'}, got ${JSON.stringify(value)}`;
+			return value < rule.min || value > (rule.max ?? Infinity) ? `${name} must be ${range}, got ${value}` : null;
+		case 'string':
+			return typeof value === 'string' && value ? null : `${name} must be a non-empty string`;
+		case 'list':
+			if (!Array.isArray(value)) return `${name} must be a list`;
+			for (const item of value) {
+				if (rule.values && typeof item?.write === 'function') continue;
+				if (typeof item !== 'string') return `${name} must hold strings, got ${JSON.stringify(item)}`;
+				if (rule.values && !rule.values.includes(item)) return `${name} has unknown entry ${item} (${rule.values.join(', ')})`;
+			}
+			return null;
+		case 'selectors':
+		case 'patterns':
+			if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) return `${name} must be a list of strings`;
+			for (const item of value) {
+				try { rule.type === 'selectors' ? selector(item, tok) : new RegExp(item, 'g'); } catch (error) { return `${name} has an invalid entry ${JSON.stringify(item)}: ${error.message}`; }
+			}
+			return null;
+		case 'retention':
+			if (!value || typeof value !== 'object' || Array.isArray(value)) return `${name} must be an object of seconds per sink, e.g. {"journeys": 2592000}`;
+			for (const sink in value) {
+				if (!rule.values.includes(sink)) return `${name} has unknown sink ${sink} (${rule.values.join(', ')})`;
+				if (!Number.isInteger(value[sink]) || value[sink] < 60) return `${name}.${sink} must be an integer of 60 or more seconds, got ${JSON.stringify(value[sink])}`;
+			}
+			return null;
+		case 'prompt':
+			return has(value) ? null : `${name} names no registered prompt template: ${JSON.stringify(value)}`;
+		case 'tok': {
+			if (!value || typeof value !== 'object') return `${name} must be an object with ${SYMBOLS.join(', ')}`;
+			for (const key of SYMBOLS) {
+				const symbol = value[key];
+				if (typeof symbol !== 'string' || symbol.length !== 1) return `${name}.${key} must be a single character, got ${JSON.stringify(symbol)}`;
+				if (!OCTET.test(symbol)) return `${name}.${key} must be an RFC 6265 cookie-octet, got ${JSON.stringify(symbol)}`;
+				if (RESERVED.test(symbol)) return `${name}.${key} must not be a letter, digit, _ or ., got ${symbol}`;
+			}
+			const symbols = SYMBOLS.map(key => value[key]);
+			return new Set(symbols).size === symbols.length ? null : `${name} symbols must be distinct, got ${symbols.join(' ')}`;
+		}
+	}
+	return null;
+}
+
+// Resolve overrides from env onto defaults {STREAMING, ARCHIVING, PRIVACY, ADAPTIVE, BEAT}
+// -> {config, sources: {'ARCHIVING.TYPE': 'EDGERUNNER' | 'ARCHIVING_TYPE'}, errors: [message]}
+export function resolve(defaults, env = {}) {
+	const config = {}, sources = {}, errors = [];
+	for (const section in SCHEMA) config[section] = {...defaults[section]};
+
+	const set = (section, key, value, source) => {
+		if (!SCHEMA[section]?.[key]) return errors.push(`Unknown setting ${section}.${key} (${source})`);
+		config[section][key] = value;
+		sources[`${section}.${key}`] = source;
+	};
+	let binding = env.EDGERUNNER;
+	if (typeof binding === 'string') {
+		try { binding = JSON.parse(binding); } catch (error) { errors.push(`EDGERUNNER is not valid JSON: ${error.message}`); binding = null; }
+	}
+	if (binding && typeof binding === 'object') {
+		for (const section in binding) {
+			if (!SCHEMA[section] || typeof binding[section] !== 'object') { errors.push(`Unknown section ${section} (EDGERUNNER)`); continue; }
+			for (const key in binding[section]) set(section, key, binding[section][key], 'EDGERUNNER');
+		}
+	}
+	for (const name in env) {
+		const m = name.match(/^(STREAMING|ARCHIVING|PRIVACY|ADAPTIVE|BEAT)_([A-Z]+)$/);
+		if (!m || typeof env[name] !== 'string') continue;
+		const rule = SCHEMA[m[1]][m[2]];
+		try { set(m[1], m[2], rule ? coerce(env[name], rule) : env[name], name); } catch (error) { errors.push(`${name} could not be read: ${error.message}`); }
+	}
+
+	for (const section in SCHEMA)
+		for (const key in SCHEMA[section]) {
+			const problem = check(config[section][key], SCHEMA[section][key], `${section}.${key}`, config.BEAT.TOK);
+			if (problem) errors.push(problem + (sources[`${section}.${key}`] ? ` (${sources[`${section}.${key}`]})` : ''));
+		}
+	if (!errors.length) for (const test of CHECKS) {
+		const result = test(config);
+		if (result !== true) errors.push(result);
+	}
+	return {config, sources, errors};
+}
+
+// Client-declared BEAT (?tic=100&tok=!*~/-) against the edge, a mismatch message or null
+export function mismatch(params, {TIC, TOK}) {
+	const tic = params.get('tic'), tok = params.get('tok');
+	const problems = [];
+	if (tic !== null && +tic !== TIC) problems.push(`tic ${tic} (edge ${TIC})`);
+	if (tok !== null && tok !== SYMBOLS.map(key => TOK[key]).join('')) problems.push(`tok ${tok} (edge ${SYMBOLS.map(key => TOK[key]).join('')})`);
+	return problems.length ? `Client BEAT does not match the edge: ${problems.join(', ')}` : null;
+}
@@ -6,38 +6,80 @@
  * Created for ensemble performance with Full Score
  * This code structure is for edge runtime environments.
  * 
- * Different platforms require different entry point syntax:
- * - export default { fetch(request, env, ctx) }
- * - export default function handler(request)
+ * The core below is platform-neutral: fetch(request, env, ctx) and scheduled(event, env, ctx)
+ * - env: settings and bindings (SCORE_KEY, SESSIONS, FRAGMENTS, ARCHIVE_*, fullscore for AI)
+ * - ctx: waitUntil(promise), and origin(request) where plain fetch() doesn't reach the origin
  * 
- * Please adapt the entry point to your platform before deployment.
- * Core logic (scan, botPattern, humanPattern) works across all platforms.
+ * Cloudflare Workers run this file as is. Other platforms use the thin entry points in adapters/:
+ * workers.js, vercel.js (Vercel Functions, Next.js middleware), deno.js (Deno Deploy) and node.js (local Node HTTP).
+ * Core logic (scan, botPattern, humanPattern, merge) works across all platforms and runs offline in replay.js.
+ * BEAT grammar (parse, serialize) lives in beat.js, AI prompt templates in prompts.js, the /rhythm/live feed in live.js,
+ * per-site baselines for the bot rules in adaptive.js.
+ * Settings below are defaults, overridable from env without a redeploy (config.js).
  */
 
-const TIC = 100; // 🚨 Important: BEAT Tick must match Full Score
-const TOK = { P:'!', E:'*', T:'~', A:'/', L:'-' }; // 🚨 Important: BEAT Token must match Full Score
-const RE_TIME = new RegExp(`(\\${TOK.T}|\\${TOK.A})(\\d+)(?=[\\${TOK.E}\\${TOK.A}\\${TOK.P}]|_|$)`, 'g');
-const RE_SPACE = new RegExp(`(\\${TOK.P}|\\${TOK.T}|\\${TOK.E})`, 'g');
-const EX_DEFAULT = `${TOK.P}home${TOK.T}23.7${TOK.E}nav-2${TOK.T}190.8${TOK.E}nav-3${TOK.T}37.5${TOK.A}12.3${TOK.E}help${TOK.T}112.8${TOK.E}more-1${TOK.T}4.3${TOK.P}prod${TOK.T}103.4${TOK.E}button-12${TOK.T}105.0${TOK.E}p1___2${TOK.P}p1${TOK.T}240.3${TOK.E}img-1${TOK.T}119.4${TOK.E}buy-1${TOK.T}1.3${TOK.A}0.8${TOK.A}0.8${TOK.E}buy-1-up${TOK.T}53.2${TOK.E}review${TOK.T}14${TOK.P}review${TOK.T}201.8${TOK.E}nav-1___1${TOK.T}659.0${TOK.E}mycart___3${TOK.P}cart`;
-const EX_SPACE = EX_DEFAULT.replace(RE_SPACE, ' $1').replace(/___(\d+)/g, ' ___$1').trimStart();
+import { evaluate, label } from './rules.js';
+import { compile } from './human.js';
+import { split, sign, verify, mac } from './sign.js';
+import { kv } from './store.js';
+import { load, aggregate } from './report.js';
+import { open, prune } from './sinks.js';
+import { policy } from './privacy.js';
+import { tracker, stream } from './live.js';
+import { gather, learn, tuned, current, versions, save, rollback, pooled, keep } from './adaptive.js';
+import { ask } from './prompts.js';
+import { LIMITS, summarize } from './summary.js';
+import { resolve, mismatch } from './config.js';
+import { TIC, TOK, configure, parse, serialize, serializeRhythm, rhythms } from './beat.js'; // 🚨 Important: BEAT Tick and Token are set in beat.js and must match Full Score
 
 const STREAMING = { // Security and Personalization
 	LOG: false,		// Enable only in development (default: false)
 	TIME: false,		// Include timestamp in logs. Excluding it helps reduce re-identification risk and strengthen compliance. (default: false)
-	HASH: false,		// Include hash in logs. Must be enabled for reassembly when batches are fragmented due to settings like POW=true in Full Score (default: false)
+	HASH: false,		// Include hash in logs and /rhythm/live events, which otherwise carry a keyed pseudonym. Must be enabled for reassembly when batches are fragmented due to settings like POW=true in Full Score (default: false)
 	BOT: true,		// Listens for the RHYTHM of bot BEAT (default: true)
 	HUMAN: true,	// Listens for the RHYTHM of human BEAT (default: true)
+	CHALLENGE: 0.5,	// Bot score that raises the security level by one, see rules.js for rule weights (default: 0.5)
+	BLOCK: 0.95,	// Bot score that jumps straight to level 2, e.g. two strong rules at once (default: 0.95)
+	SIGN: true,		// Sign the score cookie with env.SCORE_KEY (previous secret: env.SCORE_KEY_OLD), skipped without the binding (default: true)
+	UNSIGNED: 0,	// Security level for a score cookie without signature. A first visit looks the same, so above 0 also challenges new visitors. Once the edge signed a session (STREAMING.STATE), a missing signature counts as FORGED (default: 0)
+	FORGED: 2,		// Security level for a score cookie whose signature does not match (default: 2)
+	GRACE: 86400,	// Seconds a cookie signed with env.SCORE_KEY_OLD stays valid after rotation (default: 86400)
+	STATE: true,	// Keep session state in env.SESSIONS (KV) so escalation survives cookie resets, skipped without the binding. Keyed by the client's session hash, so clearing every cookie (score and rhythm_N) still starts clean (default: true)
+	TTL: 86400,		// Seconds session state lives after its last update (default: 86400)
+	DECAY: 3600,	// Seconds without detections before the stored level drops by one, 0 never decays (default: 3600)
 };
 
+const SLOTS = [ // Personalization slots 1~9 (XOOOOOOOOO), spec format in human.js
+	// 🚨 Important: This is an example implementation
+	// Detects 3+ slow clicks on are-you-human button (~15/12/14*are-you-human)
+	// Sets personalization field to 0100000000 to trigger client-side behavior (e.g., show welcome popup)
+	{slot: 1, match: '*tap-repetition-demo-button', count: 2, min: 500, last: true},
+	// {slot: 4, match: '!pricing', count: 3, mode: 'once'},	// Viewed pricing 3 times in one session
+	// {slot: 5, sequence: ['!prod', '*buy-*', '!cart'], max: 60000},	// Product, buy, cart with under a minute between steps
+];
+const HUMANS = compile(SLOTS); // Selectors use the default Token, matching works on parsed events so BEAT_TOK doesn't affect them
+const FIELD = /^[0-2]{10}$/; // Score field the edge could have set: security digit and slots 1~9, each 0~2
+const SWEEP = 20; // Buffered sessions archived per cron run, oldest first, the rest wait for the next run (Workers cap subrequests)
+
 const ARCHIVING = { // Serverless Analytics with AI Insights
 	LOG: true,		// Archive user journeys and push logs to cloud storage (default: false)
 	TIME: false,		// Include timestamp in logs. Excluding it helps reduce re-identification risk and strengthen compliance. (default: false)
 	HASH: false,		// Include hash in logs. Must be enabled for reassembly when batches are fragmented due to settings like POW=true in Full Score (default: false)
 	SPACE: true,	// Add spaces to BEAT string for better readability (default: true)
+	MAX: 65536,		// Maximum echo body size in bytes, larger batches get 413 (default: 65536)
+	REASSEMBLE: false,	// Buffer fragmented batches (e.g. POW=true in Full Score) by hash in env.FRAGMENTS and archive one journey per session. Needs hashes from Full Score, a cron trigger and a signed score cookie (STREAMING.SIGN) for the same hash, other batches are archived on their own (default: false)
+	IDLE: 1800,		// Seconds without new batches before a buffered session is archived, POST /rhythm/echo?final archives right away (default: 1800)
+	AGE: 21600,		// Seconds after the first batch when a buffered session is archived regardless (default: 21600)
+	SINKS: ['log'],	// Archive targets, run together: 'log' (console), 'bucket' (env.ARCHIVE_BUCKET), 'queue' (env.ARCHIVE_QUEUE), 'journeys' (env.JOURNEYS KV for /rhythm/report), 'webhook' (env.ARCHIVE_WEBHOOK URL) or your own {write(record)} (default: ['log'])
+	FUNNEL: [],		// Default funnel steps for /rhythm/report, e.g. ['!prod', '*buy-1', '!cart', '!checkout'] (default: [])
+	HOST: false,	// Archive the request host as site, which groups adaptive baselines per site. Off, every journey learns into one '*' baseline (default: false)
+	BASELINE: true,	// Rule-based insight from summary.js, archived as insight when AI is off, skipped or fails, and as baseline next to AI insight (default: true)
 	AI: false,		// Enable AI insights of archived BEAT logs (default: false)
 	MODEL: '@cf/openai/gpt-oss-20b',	// AI model (default: @cf/openai/gpt-oss-20b)
 	BOUNCE: 1,		// AI insights skipped below N clicks (default: 1)
-	PROMPT: 1,		// Prompt format. Higher numbers need more capable AI (default: 1)
+	PROMPT: 1,		// Prompt template from prompts.js, built-in 1 or 2 or your own register(name, build, {type}). Higher numbers need more capable AI (default: 1)
+	JSON: false,	// Ask for one validated JSON object instead of [KEY] lines, malformed replies are retried (default: false)
+	RETRY: 1,		// Retries for malformed JSON replies before archiving without insight (default: 1)
 	TYPE: 1,		// Site type contexts for AI analysis (default: 1)
 	SITE: [			// Pick your site 1~20 TYPE from the list.
 		'', // 1
@@ -63,37 +105,182 @@ const ARCHIVING = { // Serverless Analytics with AI Insights
 	]
 };
 
+const PRIVACY = { // Redaction before live streaming logs, archiving and AI (privacy.js)
+	REDACT: false,	// Apply the policy below to page and element names and intervals, bot verdicts keep rule names only (default: false)
+	ALLOW: [],		// Names kept as is, selectors like SLOTS, e.g. ['!home', '!prod', '*buy-*']. Empty keeps every name not denied (default: [])
+	DENY: [],		// Names always replaced with [redacted], wins over ALLOW (default: [])
+	SCRUB: [],		// Regex sources, matching parts of names become [x], e.g. ['\\d{5,}', '[\\w.+-]+@[\\w-]+\\.\\w+'] (default: [])
+	HASH: true,		// Names outside ALLOW become a keyed hash (h-3f9a2c1d) with env.REDACT_KEY instead of [redacted] (default: true)
+	COARSEN: 0,		// Round intervals to N ms, e.g. 1000 for whole seconds, 0 keeps them (default: 0)
+	RETENTION: {},	// Seconds archived data is kept per sink: journeys (KV expiry), bucket (partitions pruned by the cron trigger). Queue, webhook and log retention is up to their consumers (default: {})
+	K: 0,			// k-anonymity for /rhythm/report: paths, transitions, dwell pages and rage spots seen in fewer than K sessions are left out (default: 0)
+};
+
+const ADAPTIVE = { // Per-site and per-device baselines learned from archived journeys (adaptive.js)
+	APPLY: true,	// Score NoVariance, Surface and Monotonous against the current baseline in env.BASELINES and add its Deviation rule, skipped without the binding (default: true)
+	LEARN: true,	// Recompute the baseline from env.JOURNEYS on the cron trigger, skipped without both bindings (default: true)
+	EVERY: 86400,	// Seconds between recomputations (default: 86400)
+	LIMIT: 500,		// Journeys archived since the previous recomputation read per run, at most 500 as each one is a KV read (default: 500)
+	POOL: 2000,		// Human sessions per site and device kept across recomputations, newest first, so groups fill up over several runs (default: 2000)
+	MIN: 200,		// Human sessions a site and device need before their baseline replaces the constants (default: 200)
+	TAIL: 0.05,		// Share of a site's human sessions still allowed to fire a learned threshold, and on each side of the Deviation bounds (default: 0.05)
+	DEVIATION: 0.4,	// Weight of the Deviation rule: 2+ features outside a baseline's two-sided bounds, 0 disables it (default: 0.4)
+	KEEP: 10,		// Baseline versions kept for rollback (default: 10)
+	CACHE: 60,		// Seconds an instance keeps the current baseline before reading it again (default: 60)
+};
+
+const DEFAULTS = {STREAMING: {...STREAMING}, ARCHIVING: {...ARCHIVING}, PRIVACY: {...PRIVACY}, ADAPTIVE: {...ADAPTIVE}, BEAT: {TIC, TOK}}; // Runtime config resolves onto these
+const CONFIGS = new WeakMap(); // Resolved config per env
+const POLICIES = new WeakMap(); // Compiled redaction policy per resolved config
+const SEEN = tracker(); // Tokens already published per session and rhythm_N
+const BASELINES = new WeakMap(); // Current baseline per env.BASELINES binding {snapshot, at}
+let APPLIED = null;
+
 export default { // Start Edge Runner
 	async fetch(request, env, ctx) {
 		const url = new URL(request.url);
 		const cookies = request.headers.get("Cookie") || "";
+		const settings = setup(env);
+
+		// Resolved config with its sources and errors, only with env.DEBUG_TOKEN as Bearer token
+		if (url.pathname === "/rhythm/config" && env.DEBUG_TOKEN) {
+			if (!authorized(request, env.DEBUG_TOKEN)) return reject(401, 'unauthorized', 'Bearer token required');
+			const body = {...settings.config, sources: settings.sources, errors: settings.errors, active: !settings.errors.length};
+			return new Response(JSON.stringify(body, (key, value) => typeof value?.write === 'function' ? value.name || 'custom' : value, '\t'), {headers: {'Content-Type': 'application/json'}});
+		}
+		if (url.pathname.startsWith("/rhythm/")) {
+			if (settings.errors.length) return reject(500, 'invalid_config', settings.errors.join('; '));
+			const conflict = mismatch(url.searchParams, {TIC, TOK}); // Client declares ?tic=100&tok=!*~/-, a mismatch would misread every BEAT
+			if (conflict) {
+				console.error('🚨 ' + conflict);
+				return reject(409, 'beat_mismatch', conflict);
+			}
+		}
+
+		// Funnel and path report over journeys stored by the 'journeys' sink, only with env.REPORT_TOKEN as Bearer token
+		// GET /rhythm/report?funnel=!prod,*buy-1,!cart&from=2025-01-01&to=2025-01-31&device=1&top=10&limit=200
+		if (url.pathname === "/rhythm/report" && env.REPORT_TOKEN && env.JOURNEYS) {
+			if (!authorized(request, env.REPORT_TOKEN)) return reject(401, 'unauthorized', 'Bearer token required');
+			const q = url.searchParams, time = text => /^\d+$/.test(text) ? +text : Date.parse(text);
+			const query = {
+				funnel: q.has('funnel') ? q.get('funnel').split(',').filter(Boolean) : ARCHIVING.FUNNEL,
+				from: q.has('from') ? time(q.get('from')) : 0,
+				to: q.has('to') ? time(q.get('to')) : Infinity,
+				device: q.has('device') ? +q.get('device') : undefined,
+				top: Math.min(+q.get('top') || 10, 100),
+				limit: Math.min(+q.get('limit') || 200, 500) // Each journey is a KV read, Workers cap subrequests per request
+			};
+			if (isNaN(query.from) || isNaN(query.to)) return reject(400, 'invalid', 'from and to take a date or epoch milliseconds');
+			let report;
+			try {
+				const {records, truncated} = await load(kv(env.JOURNEYS), query);
+				report = {...aggregate(records, {...query, k: PRIVACY.K}), truncated};
+			} catch (error) {
+				return reject(400, 'invalid', error.message); // Invalid funnel selector
+			}
+			return new Response(JSON.stringify(report), {headers: {'Content-Type': 'application/json'}});
+		}
+
+		// Delete everything stored under one session hash for data subject requests, only with env.FORGET_TOKEN as Bearer token
+		// DELETE /rhythm/data?hash=x7n4kb2p
+		if (url.pathname === "/rhythm/data" && request.method === "DELETE" && env.FORGET_TOKEN) {
+			if (!authorized(request, env.FORGET_TOKEN)) return reject(401, 'unauthorized', 'Bearer token required');
+			const hash = url.searchParams.get('hash') || '';
+			if (!/^[0-9A-Za-z-]{1,64}$/.test(hash)) return reject(400, 'invalid', 'hash is required');
+			return new Response(JSON.stringify(await forget(hash, env)), {headers: {'Content-Type': 'application/json'}});
+		}
+
+		// Live feed of sessions, tokens and verdicts as Server-Sent Events, only with env.LIVE_TOKEN as Bearer token
+		// GET /rhythm/live?hash=s-3f9a2c1d&types=bot,level (EventSource can't send the header, read it with fetch() in dashboards)
+		// 🚨 Important: Needs a hub shared by every request as env.LIVE. The Node and Deno adapters pass hub() from live.js, which
+		// only works in a single process. Workers and Vercel have none built in: bring a cross-instance channel (e.g. a Durable Object).
+		if (url.pathname === "/rhythm/live" && request.method === "GET" && env.LIVE_TOKEN) {
+			if (!authorized(request, env.LIVE_TOKEN)) return reject(401, 'unauthorized', 'Bearer token required');
+			if (!env.LIVE) return reject(501, 'no_hub', 'env.LIVE is not set, the live feed needs a hub shared by every request');
+			const types = url.searchParams.get('types')?.split(',').map(s => s.trim()).filter(Boolean);
+			const body = stream(env.LIVE, {hash: url.searchParams.get('hash') || undefined, types: types?.length ? types : undefined, signal: request.signal});
+			return new Response(body, {headers: {'Content-Type': 'text/event-stream', 'Cache-Control': 'no-store', 'X-Accel-Buffering': 'no'}});
+		}
+
+		// Baseline snapshots, only with env.BASELINE_TOKEN as Bearer token
+		// GET lists versions with the current one, POST recomputes now, POST ?rollback=1735689600000 switches back
+		if (url.pathname === "/rhythm/baseline" && env.BASELINE_TOKEN && env.BASELINES) {
+			if (!authorized(request, env.BASELINE_TOKEN)) return reject(401, 'unauthorized', 'Bearer token required');
+			const store = kv(env.BASELINES);
+			let snapshot;
+			if (request.method === 'POST' && url.searchParams.has('rollback')) {
+				try {
+					snapshot = await rollback(store, +url.searchParams.get('rollback'));
+				} catch (error) {
+					return reject(404, 'not_found', error.message);
+				}
+				console.log('✅ baseline: rolled back to ' + snapshot.version);
+			} else if (request.method === 'POST') {
+				if (!env.JOURNEYS) return reject(409, 'no_journeys', 'Learning needs env.JOURNEYS (the journeys sink)');
+				snapshot = await relearn(env);
+			} else snapshot = await current(store);
+			BASELINES.delete(env.BASELINES);
+			return new Response(JSON.stringify({current: snapshot, versions: await versions(store)}), {headers: {'Content-Type': 'application/json'}});
+		}
 
 		// Live streaming handler
 		if (url.pathname === "/rhythm/" && url.searchParams.has("livestreaming")) {
-			const match = scan(cookies); // Score cookie: field_time_hash___tabs
-			if (!((STREAMING.BOT && match.bot) || (STREAMING.HUMAN && match.human))) return request.method === 'HEAD' ? new Response(null, {status: 204}) : fetch(request); // Early return when no detection - saves processing and network
-			const save = match.score[0]; // Store original value for comparison
+			const match = await scan(cookies, env, url.hostname); // Score cookie: field_time_hash___tabs.kid.iat.field.mac
+			const feed = listening(env); // Live hub while /rhythm/live has subscribers, otherwise null
+			const id = feed && await alias(match.hash, env); // Hash as published, see alias()
+			if (feed) await arrivals(feed, match, cookies, env);
+			const reseal = match.seal && (match.seal.status !== 'valid' || match.seal.stale); // Unsigned, forged or signed with the previous secret
+			if (!((STREAMING.BOT && match.bot) || (STREAMING.HUMAN && match.human) || reseal || match.score[0] !== match.cookie)) return request.method === 'HEAD' ? new Response(null, {status: 204}) : pass(request, ctx); // Early return when no detection - saves processing and network
+			const save = match.cookie, before = match.junk ? 0 : +(save[0] || 0); // Store original value and level for comparison
 
 			// Update security field (OXXXXXXXXX)
 			// 🚨 Important: Configure WAF rules with these expressions: 0=Pass, 1=Managed Challenge, 2=Block
 			// Level 1 - Managed Challenge: (any(starts_with(http.request.cookies["score"][*], "1")) and not http.cookie contains "cf_chl")
 			// Level 2 - Block: (any(starts_with(http.request.cookies["score"][*], "2")))
-			if (STREAMING.BOT && match.bot) {
-				match.score[0] = match.score[0].replace(/^./, m => m < 2 ? +m + 1 : 2);
-				if (match.score[0][0] < '2') console.log('⛔ bot: ' + match.bot + ' (level ' + match.score[0][0] + ')'); // ⛔ bot: MachineGun:12 (level 1)
+			// Signing only appends .kid.iat.field.mac, so the starts_with() expressions above keep working unchanged.
+			// WAF can't check the MAC itself: tampering is caught in scan() on the next RHYTHM and answered with UNSIGNED/FORGED levels.
+			// Score bands: below CHALLENGE=no change, CHALLENGE~BLOCK=one level up, BLOCK+=level 2
+			const band = !STREAMING.BOT || !match.bot ? 0 : match.bot.score >= STREAMING.BLOCK ? 2 : match.bot.score >= STREAMING.CHALLENGE ? 1 : 0; // Verdicts below CHALLENGE change nothing
+			const rule = label(match.bot, {detail: !PRIVACY.REDACT}); // Details may hold page or element names (PingPong:home-cart), REDACT keeps rule names only
+			if (band) {
+				match.score[0] = match.score[0].replace(/^./, m => Math.min(band === 2 ? 2 : +m + band, 2));
+				if (match.score[0][0] < '2') console.log('⛔ bot: ' + rule + ' (score ' + match.bot.score + ', level ' + match.score[0][0] + ')'); // ⛔ bot: MachineGun:12 (score 0.9, level 1)
+				feed?.publish({type: 'bot', at: Date.now(), hash: id, rule, score: match.bot.score, level: +match.score[0][0]});
 			}
 
 			// Update personalization field (XOOOOOOOOO)
-			// 🚨 Important: Requires customizing humanPattern() before enabling
-			// Consider KV store validation to prevent users from tampering with cookies
-			// where values like 0000000000, 0101010101 indicate independent flags for each position
+			// 🚨 Important: Requires customizing SLOTS before enabling
+			// Values like 0000000000, 0101010101 indicate independent flags for each position
+			const ran = []; // 'once' slots flipped by this request
 			if (STREAMING.HUMAN && match.human) {
 				const field = match.score[0].split('');
-				if (field[match.human] === '0') { // client sets 0 to repeat or 2 for one time after run
-					field[match.human] = '1';
-					match.score[0] = field.join('');
-					console.log('✅ Human: ' + match.score[0] + ' (case ' + match.human + ')'); // ✅ Human: 0100000000 (case 1)
+				for (const {slot, mode} of match.human) {
+					// A 'once' slot the signed field shows at 1 or the session state lists already ran, even if the client set 0 again
+					if (mode === 'once' && (match.seal?.field?.[slot] === '1' || match.state?.once?.includes(slot))) continue;
+					if (field[slot] === '0') { // client sets 0 to repeat or 2 for one time after run, 2 never flips again
+						field[slot] = '1';
+						if (mode === 'once') ran.push(slot);
+						console.log('✅ Human: ' + field.join('') + ' (case ' + slot + ')'); // ✅ Human: 0100000000 (case 1)
+						feed?.publish({type: 'slot', at: Date.now(), hash: id, slot, field: field.join('')});
+					}
 				}
+				match.score[0] = field.join('');
+			}
+			if (feed && +match.score[0][0] !== before) {
+				const reason = band ? rule : match.junk ? 'forged' : match.seal && match.seal.status !== 'valid' ? match.seal.status : 'state'; // Bot verdict, unsigned/forged cookie or stored level
+				feed.publish({type: 'level', at: Date.now(), hash: id, from: before, to: +match.score[0][0], reason});
+			}
+
+			// Session state (STREAMING.STATE): remember detections, level changes, 'once' slots that ran and that the edge signed this session
+			const signing = request.method === 'HEAD' && match.seal && (match.score[0] !== save || reseal);
+			if (match.store && (band || ran.length || +match.score[0][0] !== (match.state?.level ?? 0) || (signing && !match.state?.signed))) {
+				const now = Date.now(), state = match.state || {created: now, detections: []};
+				state.level = +match.score[0][0];
+				state.updated = now;
+				if (signing) state.signed = true; // From now on a cookie without signature is a stripped one
+				if (ran.length) state.once = [...(state.once || []), ...ran];
+				if (band) state.detections = state.detections.concat({at: now, bot: rule, score: match.bot.score, level: state.level}).slice(-20); // Last 20 detections
+				ctx.waitUntil(match.store.put('session:' + match.hash, state, STREAMING.TTL));
 			}
 
 			// Custom code can be added here to include AI analysis in live streaming as well.
@@ -103,335 +290,437 @@ export default { // Start Edge Runner
 
 			if (STREAMING.LOG) { // Shows live streaming logs every RHYTHM (default: false)
 				let logs = cookies;
-				logs = logs.replace(/rhythm_(\d+)=(\d+)_([^_]+)_([^_]+)_/g, (m, number, field, time, hash) => {
-					const t = STREAMING.TIME ? time : '';
-					const h = STREAMING.HASH ? hash : '';
-					return `rhythm_${number}=${field}_${t}_${h}_`;
-				});
+				const redact = privacy(env);
+				for (const {number, value, raw} of rhythms(cookies)) {
+					let data;
+					try { data = parse(value, {header: true}); } catch { data = null; }
+					const t = STREAMING.TIME && data ? data.time : '';
+					const h = STREAMING.HASH && data ? data.hash : '';
+					const line = data ? serializeRhythm({...data, time: t, hash: h, events: await redact(data.events)}) : '';
+					logs = logs.replace(raw, () => `rhythm_${number}=` + line);
+				}
 				ctx.waitUntil(console.log(logs));
 			}
-			if (request.method === 'HEAD' && match.score[0] !== save) return new Response(null, {status: 204, headers: {'Set-Cookie': 'score=' + match.score[0] + '_' + match.score[1] + '_' + match.score[2] + match.score[3] + '; Path=/; SameSite=Lax; Secure'}}); // Only set cookie when value actually changed
+			if (request.method === 'HEAD' && (match.score[0] !== save || reseal)) { // Only set cookie when value actually changed or needs a fresh signature
+				const sig = match.seal ? '.' + await sign(match.score[0], match.score[2], env.SCORE_KEY) : '';
+				return new Response(null, {status: 204, headers: {'Set-Cookie': 'score=' + match.score[0] + '_' + match.score[1] + '_' + match.score[2] + match.score[3] + sig + '; Path=/; SameSite=Lax; Secure'}});
+			}
 			if (request.method === 'HEAD') return new Response(null, {status: 204}); // All logic handled at edge, no need to reach origin
 		}
 
 		// Batch archiving handler
 		if (url.pathname === "/rhythm/echo" && request.method === "POST") {
-			let body = await request.text();
 			if (!ARCHIVING.LOG) return new Response('OK');
+			if (+request.headers.get('Content-Length') > ARCHIVING.MAX) return reject(413, 'too_large', `Body exceeds ${ARCHIVING.MAX} bytes`);
+			const body = await read(request, ARCHIVING.MAX); // Content-Length can be missing or wrong, counted while streaming
+			if (body === null) return reject(413, 'too_large', `Body exceeds ${ARCHIVING.MAX} bytes`);
 
+			// Every fragment must match the BEAT header layout, the rest is dropped and counted
 			const map = {};
-			const match = body.match(/rhythm_\d+=.*?(?=rhythm_|$)/g);
-			for (let i = 0; i < match.length; i++) {
-				const split = match[i].split('=');
-				const number = split[0].slice(7);
-				const parts = split[1].split('_');
-				map[number] = {
-					time: parts[1],
-					hash: parts[2],
-					device: +parts[3],
-					referrer: +parts[4],
-					scrolls: +parts[5],
-					clicks: +parts[6],
-					duration: +parts[7],
-					beat: parts.slice(8).join('_').split(/(___\d+)/).filter(Boolean)
-				};
-			}
-			const first = String(Math.min(...Object.keys(map).map(Number)));
-			let current = first;
-			let flow = '';
-			const index = {};
-			while (map[current]) {
-				const i = index[current] || 0;
-				if (i >= map[current].beat.length) break;
-				
-				const token = map[current].beat[i];
-				index[current] = i + 1;
-				flow += token;
-				
-				if (token.startsWith('___')) current = token.slice(3);
-			}
-			const leader = map[first];
-			const merge = {};
-			if (ARCHIVING.TIME && leader.time) merge.time = leader.time;
-			if (ARCHIVING.HASH && leader.hash) merge.hash = leader.hash;
-			merge.device = leader.device;
-			merge.referrer = leader.referrer;
-			merge.scrolls = 0;
-			merge.clicks = 0;
-			let maxDur = 0;
-			for (const number in map) {
-				merge.scrolls += map[number].scrolls;
-				merge.clicks += map[number].clicks;
-				if (map[number].duration > maxDur) maxDur = map[number].duration;
-			}
-			merge.duration = +(maxDur * TIC / 1000).toFixed(1);
-			merge.beat = flow.replace(RE_TIME, (_, s, n) => s + (+n * TIC / 1000).toFixed(1));
-			if (ARCHIVING.SPACE) {
-				merge.beat = merge.beat
-					.replace(RE_SPACE, ' $1')
-					.replace(/___(\d+)/g, ' ___$1')
-					.trimStart();
-			}
-			body = JSON.stringify(merge);
-
-			// 🚨 Important: AI prompt dynamically adjusts based on BEAT Token and TIME, HASH, SPACE settings
-			// Please review the structure carefully before making modifications
-			if (ARCHIVING.AI && env.fullscore && merge.clicks >= ARCHIVING.BOUNCE) {
-				const time = ARCHIVING.TIME ? `"time":"1735680000",` : '';
-				const hash = ARCHIVING.HASH ? `"hash":"x7n4kb2p",` : '';
-				const example = ARCHIVING.SPACE ? EX_SPACE : EX_DEFAULT;
-				const space = ARCHIVING.SPACE ? ' ' : '';
-				let messages;
-
-				if (ARCHIVING.PROMPT === 1) {
-					messages = [{
-						role: 'system',
-						content: `You are a web analytics expert specializing in user behavior pattern recognition, and your task is to convert NDJSON data into precise natural-language analysis.
-						Produce exactly three lines in this order: [SUMMARY], [ISSUE], [ACTION].
-						Follow the << EXAMPLE >> format exactly, but note the site type: ${ARCHIVING.SITE[ARCHIVING.TYPE - 1]}
-						Do not include any extra text and do not quote the input.
-
-						----------
-
-						<< EXAMPLE >>
-
-						Input = {${time}${hash}"device":1,"referrer":5,"scrolls":56,"clicks":15,"duration":1880.4,"beat":"${example}"}
-
-						Output =
-						[SUMMARY] Confused behavior. Landed on homepage, hesitated in help section with repeated clicks at 37 and 12 second intervals. Moved to product page, opened details in a new tab, viewed images for about 240 seconds. Tapped buy button three times at 1.3, 0.8, and 0.8 second intervals. Returned after 660 seconds and opened cart but didn't proceed to checkout.
-						[ISSUE] Cart reached but purchase not completed. Repeated buy actions may reflect either intentional multi-item additions or friction in option selection. Long delay before checkout suggests uncertainty.
-						[ACTION] Evaluate if repeated buy or cart actions represent deliberate comparison behavior or checkout friction. If friction is likely, simplify option handling and highlight key product details earlier in the flow.
-
-						----------
-
-						[SUMMARY]
-						Analyze the "beat" field. Start with one behavior type and put it as the first word. Summarize the user journey chronologically using time intervals. Keep it brief, following the << EXAMPLE >> length.
-
-						Behavior Types:
-						Normal behavior = Varied rhythm with smooth flow and human-like patterns
-						Confused behavior = Hesitant rhythm with repetitive and abandonment patterns
-						Irregular behavior = Erratic rhythm with potentially fake or manipulated patterns
-						Bot-like behavior = Mechanical rhythm with perfect timing, 0 scrolls, or repeated page navigation showing non-human patterns
-
-						Beat Syntax:
-						${TOK.P} = page
-						${TOK.E} = element
-						${TOK.T} = time interval from the previous event to selecting the next event
-						${TOK.A} = time interval when repeatedly selecting the same event
-						___N = tab switch
-						(e.g., ${TOK.P}home, ${TOK.P}product-01, ${TOK.P}x3n, ${TOK.P}ds9df, ${TOK.E}7div1, ${TOK.E}6p4, ${TOK.E}button, ${TOK.T}1.3, ${TOK.T}43.1${TOK.A}0.6${TOK.A}1.2, ${TOK.T}6.4${TOK.A}8.3, ___2, ___1, ___3)
-
-						Beat Interpretation:
-						The beat always starts with '${TOK.P}' (page), and it's likely to begin with ${TOK.P}home.
-						'${TOK.A}' shows time intervals when the same element is selected repeatedly. For example, ${TOK.T}1.3${TOK.A}0.8${TOK.A}0.8${space}${TOK.E}button means ${TOK.T}1.3${space}${TOK.E}button${space}${TOK.T}0.8${space}${TOK.E}button${space}${TOK.T}0.8${space}${TOK.E}button.
-						Beat syntax should be interpreted in two group units to understand the entire flow and write effectively. The small group is from '${TOK.P}' (page) until the next '${TOK.P}' (page) appears. The large group is from '___N' (tab switch) until the next '___N' (tab switch) appears.
-						Time interval notations like '${TOK.T}' or '${TOK.A}' that appear immediately after '___N' (tab switch) include the elapsed time while being away from that tab. That's why time elapsed descriptions are mandatory, as shown in the EXAMPLE.
-
-						---
-
-						[ISSUE]
-						Identify the conversion inhibitors or causes of metric distortion from the SUMMARY. Keep it concise and factual.
-
-						---
-
-						[ACTION]
-						Suggest one clear and specific measure to resolve the ISSUE.`
-					}, {
-						role: 'user',
-						content: body
-					}];
-				} else if (ARCHIVING.PROMPT === 2) {
-					messages = [{
-						role: 'system',
-						content: `You are a web analytics expert specializing in user behavior pattern recognition, and your task is to convert NDJSON data into precise natural-language analysis.
-						Produce exactly four lines in this order: [CONTEXT], [SUMMARY], [ISSUE], [ACTION].
-						Follow the << EXAMPLE >> format exactly, but note the site type: ${ARCHIVING.SITE[ARCHIVING.TYPE - 1]}
-						Do not include any extra text and do not quote the input.
-
-						----------
-
-						<< EXAMPLE >>
-
-						Input = {${time}${hash}"device":1,"referrer":5,"scrolls":56,"clicks":15,"duration":1880.4,"beat":"${example}"}
-
-						Output =
-						[CONTEXT] Mobile user, Mapped(5) visit, 56 scrolls, 15 clicks, 1880.4 seconds
-						[SUMMARY] Confused behavior. Landed on homepage, hesitated in help section with repeated clicks at 37 and 12 second intervals. Moved to product page, opened details in a new tab, viewed images for about 240 seconds. Tapped buy button three times at 1.3, 0.8, and 0.8 second intervals. Returned after 660 seconds and opened cart but didn't proceed to checkout.
-						[ISSUE] Cart reached but purchase not completed. Repeated buy actions may reflect either intentional multi-item additions or friction in option selection. Long delay before checkout suggests uncertainty.
-						[ACTION] Evaluate if repeated buy or cart actions represent deliberate comparison behavior or checkout friction. If friction is likely, simplify option handling and highlight key product details earlier in the flow.
-
-						----------
-
-						[CONTEXT]
-						Write by comparing the NDJSON fields as follows.
-
-						"device":
-						0 = Desktop user
-						1 = Mobile user
-						2 = Tablet user
-
-						"referrer":
-						0 = Direct visit
-						1 = Internal visit
-						2 = Unknown visit
-						3+ = Mapped(n) visit
-
-						"scrolls":
-						Use the input value as is. (e.g., 13 scrolls)
-
-						"clicks":
-						Use the input value as is. (e.g., 25 clicks)
-
-						"duration":
-						Use the input value as is. (e.g., 257.9 seconds)
-
-						---
-
-						[SUMMARY]
-						Analyze the "beat" field. Start with one behavior type and put it as the first word. Summarize the user journey chronologically using time intervals. Keep it factual and concise.
-
-						Behavior Types:
-						Normal behavior = Varied rhythm with smooth flow and human-like patterns
-						Confused behavior = Hesitant rhythm with repetitive and abandonment patterns
-						Irregular behavior = Erratic rhythm with potentially fake or manipulated patterns
-						Bot-like behavior = Mechanical rhythm with perfect timing, 0 scrolls, or repeated page navigation showing non-human patterns
-
-						Beat Syntax:
-						${TOK.P} = page
-						${TOK.E} = element
-						${TOK.T} = time interval from the previous event to selecting the next event
-						${TOK.A} = time interval when repeatedly selecting the same event
-						___N = tab switch
-						(e.g., ${TOK.P}home, ${TOK.P}product-01, ${TOK.P}x3n, ${TOK.P}ds9df, ${TOK.E}7div1, ${TOK.E}6p4, ${TOK.E}button, ${TOK.T}1.3, ${TOK.T}43.1${TOK.A}0.6${TOK.A}1.2, ${TOK.T}6.4${TOK.A}8.3, ___2, ___1, ___3)
-
-						Beat Interpretation:
-						The beat always starts with '${TOK.P}' (page), and it's likely to begin with ${TOK.P}home.
-						'${TOK.A}' shows time intervals when the same element is selected repeatedly. For example, ${TOK.T}1.3${TOK.A}0.8${TOK.A}0.8${space}${TOK.E}button means ${TOK.T}1.3${space}${TOK.E}button${space}${TOK.T}0.8${space}${TOK.E}button${space}${TOK.T}0.8${space}${TOK.E}button.
-						Beat syntax should be interpreted in two group units to understand the entire flow and write effectively. The small group is from '${TOK.P}' (page) until the next '${TOK.P}' (page) appears. The large group is from '___N' (tab switch) until the next '___N' (tab switch) appears.
-						Time interval notations like '${TOK.T}' or '${TOK.A}' that appear immediately after '___N' (tab switch) include the elapsed time while being away from that tab. That's why time elapsed descriptions are mandatory, as shown in the EXAMPLE.
-
-						---
-
-						[ISSUE]
-						Identify the conversion inhibitors or causes of metric distortion from the SUMMARY. Keep it concise and factual.
-
-						---
-
-						[ACTION]
-						Suggest one clear and specific measure to resolve the ISSUE.`
-					}, {
-						role: 'user',
-						content: body
-					}];
+			const kept = [];
+			const list = rhythms(body);
+			let dropped = 0;
+			for (const {number, value} of list) {
+				if (!Number.isInteger(number) || map[number]) { // Non-numeric or duplicate rhythm_N
+					dropped++;
+					continue;
 				}
-				ctx.waitUntil(
-					env.fullscore.run(
-						ARCHIVING.MODEL,
-						ARCHIVING.MODEL.includes('gpt-oss') ? { input: messages.map(m => `[${m.role.toUpperCase()}]\n${m.content}`).join('\n\n') } : { messages }
-					).then(r => console.log(body + '\n' + (r?.output?.filter(x => x.type === 'message') ?? [r]).map(o => o?.content?.[0]?.text ?? o?.response).join('\n')))
-				);
-			} else {
-				console.log(body);
+				try {
+					map[number] = parse(value, {header: true});
+					kept.push({number, value});
+				} catch { dropped++; }
+			}
+			if (!list.length) return reject(400, 'empty', 'No rhythm_N fragments found');
+			if (!Object.keys(map).length) return reject(400, 'invalid', `All ${list.length} fragments failed validation`);
+
+			// Fragmented batches (ARCHIVING.REASSEMBLE) wait in env.FRAGMENTS until the session goes idle or ?final arrives
+			// Only under a hash the edge signed for this client, otherwise anyone could append to another session's journey
+			const hash = map[Math.min(...Object.keys(map).map(Number))].hash;
+			if (ARCHIVING.REASSEMBLE && env.FRAGMENTS && hash && await owns(request, hash, env)) {
+				const store = kv(env.FRAGMENTS);
+				const duration = Math.max(...Object.values(map).map(data => data.duration)); // Session time at send, orders batches that arrive out of order
+				const batch = {key: `frag:${hash}:${String(Date.now()).padStart(13, '0')}:${Math.random().toString(36).slice(2, 6)}`, duration, dropped, fragments: kept, site: url.hostname};
+				await store.put(batch.key, batch, ARCHIVING.AGE * 2);
+				if (url.searchParams.has('final')) ctx.waitUntil(finalize(store, hash, env, ctx, batch));
+				return new Response('OK');
 			}
+			ctx.waitUntil(journey(map, dropped, env, ctx, url.hostname));
 			return new Response('OK');
 		}
-		return fetch(request);
+		return pass(request, ctx);
+	},
+
+	async scheduled(event, env, ctx) { // Cron trigger: archive reassembled sessions that went idle or too old, prune expired archives
+		if (setup(env).errors.length) return;
+		if (ARCHIVING.LOG && ARCHIVING.REASSEMBLE && env.FRAGMENTS) ctx.waitUntil(sweep(env, ctx));
+		if (PRIVACY.RETENTION.bucket && env.ARCHIVE_BUCKET) ctx.waitUntil(prune(env.ARCHIVE_BUCKET, PRIVACY.RETENTION.bucket)); // Cron trigger: drop bucket partitions past retention
+		if (ADAPTIVE.LEARN && env.JOURNEYS && env.BASELINES) ctx.waitUntil(stale(env).then(due => due && relearn(env)).catch(error => console.error('⚠️ baseline: ' + error.message))); // Cron trigger: recompute the baseline every ADAPTIVE.EVERY
 	}
 };
 
-// Scan cookies
-function scan(cookies) {
-	const raw = cookies.match(/score=([^;]+)/)[1], sep = raw.indexOf('___');
-	const score = raw.slice(0, sep).split('_').concat(raw.slice(sep));
-	const rhythm = /rhythm_(\d+)=([^;]+)/g;
-	let match, bot = null, human = null;
-	while ((match = rhythm.exec(cookies))) {
-		const p = match[2].split('_');
-		const data = {scrolls: +p[5], clicks: +p[6], duration: +p[7], beat: p.slice(8).join('_')};
-		if (!data.beat) continue;
-		bot = botPattern(data);
-		human = humanPattern(data);
-		if (bot || human) break;
+// Resolve runtime config once per env and apply it to the settings, invalid config keeps the previous one
+export function setup(env) {
+	let settings = CONFIGS.get(env);
+	if (!settings) {
+		CONFIGS.set(env, settings = resolve(DEFAULTS, env));
+		if (settings.errors.length) console.error('🚨 config: ' + settings.errors.join('; '));
 	}
-	return {bot, human, score};
+	if (settings !== APPLIED && !settings.errors.length) {
+		const {STREAMING: streaming, ARCHIVING: archiving, BEAT: beat} = settings.config;
+		Object.assign(STREAMING, streaming);
+		Object.assign(ARCHIVING, archiving);
+		Object.assign(PRIVACY, settings.config.PRIVACY);
+		Object.assign(ADAPTIVE, settings.config.ADAPTIVE);
+		configure({tic: beat.TIC, tok: beat.TOK});
+		APPLIED = settings;
+	}
+	return settings;
 }
 
-// Listens for the RHYTHM of bot BEAT (default: true)
-function botPattern(data) {
-
-	// MachineGun: 200ms or less, 10+ consecutive
-	const machinegun = data.beat.match(new RegExp(`\\${TOK.T}(\\d+)`, 'g'));
-	if (machinegun && machinegun.length >= 10) for (let i = 0, count = 0; i < machinegun.length; i++)
-		if ((count = +machinegun[i].slice(1) <= 200/TIC ? count + 1 : 0) >= 10) return `MachineGun:${count}`;
-
-	// Metronome: same interval 8+ times
-	const metronome = data.beat.match(new RegExp(`[\\${TOK.A}\\${TOK.T}](\\d+)([\\${TOK.A}\\${TOK.T}]\\1){7,}`));
-	if (metronome) return `Metronome:${metronome[1]}`;
-
-	// NoVariance: standard deviation < 2, need 4+ data points
-	const novariance = data.beat.match(new RegExp(`\\${TOK.T}(\\d+)`, 'g'));
-	if (novariance && novariance.length >= 4) {
-		const values = novariance.map(t => +t.slice(1)), average = values.reduce((x, y) => x + y) / values.length;
-		const spread = Math.sqrt(values.reduce((s, x) => s + (x - average) ** 2, 0) / values.length);
-		if (spread < 200/TIC && average > 1000/TIC) return `NoVariance:${spread.toFixed(1)}`;
+// Redaction policy for the applied config, names hashed with env.REDACT_KEY
+function privacy(env) {
+	let redact = POLICIES.get(APPLIED || env);
+	if (!redact) POLICIES.set(APPLIED || env, redact = policy(PRIVACY, env.REDACT_KEY, TOK));
+	return redact;
+}
+
+// Live hub to publish to, null without env.LIVE_TOKEN and env.LIVE or while nobody listens (hubs without a count always get events)
+function listening(env) {
+	const feed = env.LIVE;
+	return env.LIVE_TOKEN && feed && feed.subscribers !== 0 ? feed : null;
+}
+
+// Publish sessions seen for the first time and the tokens each rhythm_N gained since the previous RHYTHM, names redacted (PRIVACY)
+async function arrivals(feed, match, cookies, env) {
+	const redact = privacy(env), at = Date.now();
+	for (const {number, value} of rhythms(cookies)) {
+		let data;
+		try { data = parse(value, {header: true}); } catch { continue; }
+		const hash = data.hash || match.hash;
+		if (!hash) continue;
+		const {fresh, events} = SEEN.advance(hash, number, data.events), id = await alias(hash, env);
+		if (fresh) feed.publish({type: 'session', at, hash: id, device: data.device, referrer: data.referrer, level: +match.score[0][0]});
+		if (events.length) feed.publish({type: 'beat', at, hash: id, rhythm: number, beat: serialize(await redact(events), {space: true, seconds: true})});
 	}
+}
+
+// Session hash for live events: as is with STREAMING.HASH, otherwise a keyed pseudonym (s-3f9a2c1d) that still
+// groups one session's events, or left out without env.REDACT_KEY or env.SCORE_KEY to key it
+async function alias(hash, env) {
+	if (!hash || STREAMING.HASH) return hash || undefined;
+	const key = env.REDACT_KEY || env.SCORE_KEY;
+	return key ? 's-' + (await mac(key, 'live:' + hash)).slice(0, 8) : undefined;
+}
 
-	// Arithmetic: constant interval increase/decrease, 4+ points
-	const arithmetic = data.beat.match(new RegExp(`\\${TOK.T}(\\d+)`, 'g'));
-	if (arithmetic && arithmetic.length >= 4) {
-		const values = arithmetic.map(t => +t.slice(1)), delta = values[1] - values[0];
-		if (delta && values.every((x, i) => !i || x - values[i - 1] === delta)) return `Arithmetic:${delta > 0 ? '+' : ''}${delta}`;
+// Current baseline snapshot for the detectors, read again after ADAPTIVE.CACHE seconds, null when not applied
+async function adapted(env) {
+	if (!ADAPTIVE.APPLY || !env.BASELINES) return null;
+	let cached = BASELINES.get(env.BASELINES);
+	if (!cached || Date.now() - cached.at >= ADAPTIVE.CACHE * 1000) {
+		let snapshot = cached?.snapshot ?? null;
+		try { snapshot = await current(kv(env.BASELINES)); } catch (error) { console.error('⚠️ baseline: ' + error.message); } // Keep the previous one on a read failure
+		BASELINES.set(env.BASELINES, cached = {snapshot, at: Date.now()});
 	}
+	return cached.snapshot;
+}
+
+// Whether the current baseline is older than ADAPTIVE.EVERY, or missing
+async function stale(env) {
+	const version = (await current(kv(env.BASELINES)))?.version;
+	return !version || Date.now() - version >= ADAPTIVE.EVERY * 1000;
+}
 
-	// Geometric: constant multiplication ratio, 4+ points
-	const geometric = data.beat.match(new RegExp(`\\${TOK.T}(\\d+)`, 'g'));
-	if (geometric && geometric.length >= 4) {
-		const values = geometric.map(t => +t.slice(1));
-		const ratio = values[0] > 0 && values[1] > 0 && values[1] / values[0];
-		if (ratio && ratio !== 1 && values.every((x, i) => !i || (values[i - 1] > 0 && Math.abs(x / values[i - 1] - ratio) < 0.01))) return `Geometric:x${ratio.toFixed(1)}`;
+// Gather the journeys archived since the previous run into the pool, learn a new baseline from it and make it current
+async function relearn(env) {
+	const store = kv(env.BASELINES), to = Date.now(), pool = await pooled(store);
+	const {records} = await load(kv(env.JOURNEYS), {from: pool ? pool.since + 1 : 0, to, limit: ADAPTIVE.LIMIT});
+	const next = {...gather(records, pool, {keep: ADAPTIVE.POOL}), since: to};
+	await keep(store, next);
+	const snapshot = learn(next, {min: ADAPTIVE.MIN, tail: ADAPTIVE.TAIL});
+	await save(store, snapshot, ADAPTIVE.KEEP);
+	console.log('✅ baseline: ' + snapshot.version + ' from ' + snapshot.sessions + ' sessions, ' + Object.keys(snapshot.groups).length + ' groups'); // ✅ baseline: 1735689600000 from 4210 sessions, 3 groups
+	return snapshot;
+}
+
+// Delete what is stored under one session hash: session state, buffered fragments and journeys archived with that hash
+// Bucket, queue, webhook and log archives are not indexed by hash and are reported back as unsearchable
+// Journeys are found through the hash: index of the journeys sink, lookups stay one list per hash however many are stored
+async function forget(hash, env) {
+	const deleted = {sessions: 0, fragments: 0, journeys: 0};
+	if (env.SESSIONS) {
+		const store = kv(env.SESSIONS);
+		if (await store.get('session:' + hash)) {
+			await store.delete('session:' + hash);
+			deleted.sessions++;
+		}
+	}
+	if (env.FRAGMENTS) {
+		const store = kv(env.FRAGMENTS);
+		for (const key of await store.list(`frag:${hash}:`)) {
+			await store.delete(key);
+			deleted.fragments++;
+		}
+		await store.delete('done:' + hash); // Reassembly marker, holds nothing but the hash
+	}
+	if (env.JOURNEYS) { // Through the hash: index the journeys sink writes, only with ARCHIVING.HASH
+		const store = kv(env.JOURNEYS);
+		for (const index of await store.list(`hash:${hash}:`)) {
+			await store.delete(index.slice(`hash:${hash}:`.length));
+			await store.delete(index);
+			deleted.journeys++;
+		}
 	}
+	const unsearchable = ARCHIVING.SINKS.map(sink => sink?.name || sink).filter(name => name !== 'journeys');
+	console.log('✅ forget: ' + hash + ' ' + JSON.stringify(deleted)); // ✅ forget: x7n4kb2p {"sessions":1,"fragments":0,"journeys":2}
+	return {hash, deleted, unsearchable};
+}
+
+// Authorization: Bearer <token>
+function authorized(request, token) {
+	return request.headers.get('Authorization') === `Bearer ${token}`;
+}
 
-	// PingPong: A-B-A-B page bounce, 3+ cycles (6 pages total)
-	const pingpong = data.beat.match(new RegExp(`\\${TOK.P}([^\\${TOK.T}\\${TOK.E}\\${TOK.P}]+)\\${TOK.P}([^\\${TOK.T}\\${TOK.E}\\${TOK.P}]+)(?:\\${TOK.P}\\1\\${TOK.P}\\2)+`));
-	if (pingpong && pingpong[0].split(TOK.P).filter(Boolean).length >= 6) return `PingPong:${pingpong[1]}-${pingpong[2]}`;
+// Hand the request on to the origin, through the platform's fetcher when it has one
+function pass(request, ctx) {
+	return ctx.origin ? ctx.origin(request) : fetch(request);
+}
 
-	// Surface: DOM depth ≤2 is 90%+, need 10+ clicks
-	const surface = data.beat.match(new RegExp(`\\${TOK.E}(\\d+)`, 'g'));
-	if (surface && surface.length >= 10) {
-		const shallow = surface.filter(d => +d.slice(1) <= 2).length;
-		if (shallow / surface.length > 0.9) return `Surface:${shallow}/${surface.length}`;
+// Walk the tab fragments into one journey, the echo merge without side effects
+// map: {N: parsed rhythm_N}, dropped: fragments already rejected upstream
+// -> {merge: archived fields, flow: merged events, first: leading tab, dropped}
+export function merge(map, dropped = 0) {
+	const first = Math.min(...Object.keys(map).map(Number));
+	let current = first;
+	const flow = [];
+	const index = {};
+	while (map[current]) {
+		const i = index[current] || 0;
+		if (i >= map[current].events.length) break;
+
+		const event = map[current].events[i];
+		index[current] = i + 1;
+		flow.push(event);
+
+		if (event.type === 'tab') current = event.tab;
+	}
+	for (const number in map) if ((index[number] || 0) < map[number].events.length) dropped++; // Left unread by the tab walk, e.g. ___N pointing to a missing fragment
+	const leader = map[first];
+	const merge = {};
+	if (ARCHIVING.TIME && leader.time) merge.time = leader.time;
+	if (ARCHIVING.HASH && leader.hash) merge.hash = leader.hash;
+	merge.device = leader.device;
+	merge.referrer = leader.referrer;
+	merge.scrolls = 0;
+	merge.clicks = 0;
+	let maxDur = 0;
+	for (const number in map) {
+		merge.scrolls += map[number].scrolls;
+		merge.clicks += map[number].clicks;
+		if (map[number].duration > maxDur) maxDur = map[number].duration;
 	}
+	merge.duration = +(maxDur * TIC / 1000).toFixed(1);
+	merge.beat = serialize(flow, {space: ARCHIVING.SPACE, seconds: true});
+	return {merge, flow, first, dropped};
+}
 
-	// Monotonous: diversity < 15%, need 20+ clicks
-	const monotonous = data.beat.match(new RegExp(`\\${TOK.E}[^\\${TOK.P}\\${TOK.T}]+`, 'g'));
-	if (monotonous && monotonous.length >= 20) {
-		const unique = new Set(monotonous).size;
-		if (unique / monotonous.length < 0.15) return `Monotonous:${unique}t`;
+// Merge the tab fragments into one journey and archive it, with rule-based or AI insight
+// Redaction (PRIVACY) runs before anything leaves: the archived beat, the summary and the AI input
+// -> Promise of whether it was archived, see archive()
+async function journey(map, upstream, env, ctx, site) {
+	const walk = merge(map, upstream), {merge: merged, first, dropped} = walk;
+	const flow = await privacy(env)(walk.flow);
+	if (flow !== walk.flow) merged.beat = serialize(flow, {space: ARCHIVING.SPACE, seconds: true});
+	const body = JSON.stringify(merged);
+	if (dropped) console.log('⚠️ echo: ' + dropped + ' fragments dropped or left incomplete');
+	const record = {...merged, ...(dropped ? {dropped} : {}), ...(ARCHIVING.HOST && site ? {site} : {})}; // Archived with the drop count and host (ARCHIVING.HOST), AI only sees the journey
+	const sinks = open(ARCHIVING.SINKS, env, {retention: PRIVACY.RETENTION});
+	const baseline = ARCHIVING.BASELINE ? summarize({events: flow, tab: first, duration: merged.duration}, botPattern({events: flow}, tuned(await adapted(env), site, merged.device, {deviation: ADAPTIVE.DEVIATION})), {...LIMITS, challenge: STREAMING.CHALLENGE, block: STREAMING.BLOCK}) : null;
+	const fallback = baseline ? {...record, insight: baseline} : record;
+
+	if (ARCHIVING.AI && env.fullscore && merged.clicks >= ARCHIVING.BOUNCE) {
+		const vars = {tok: TOK, time: ARCHIVING.TIME, hash: ARCHIVING.HASH, space: ARCHIVING.SPACE, json: ARCHIVING.JSON, type: ARCHIVING.TYPE, site: ARCHIVING.SITE[ARCHIVING.TYPE - 1]};
+		return ask(env.fullscore, {model: ARCHIVING.MODEL, name: ARCHIVING.PROMPT, vars, input: body, retry: ARCHIVING.RETRY})
+			.then(insight => archive(baseline ? {...record, insight, baseline} : {...record, insight}, sinks, ctx), error => { // Baseline kept next to the model's insight for cross-checking
+				console.error('⚠️ AI insight failed: ' + error.message);
+				return archive(fallback, sinks, ctx); // Keep the journey even without AI insight
+			});
 	}
+	return archive(fallback, sinks, ctx);
+}
 
-	return null;
+// Stitch the buffered batches of one session, ordered by session time, then archive them as one journey
+// latest: the batch ?final just stored, KV list may not show it yet
+// Fragments are deleted only once the journey was archived, otherwise the next sweep retries
+async function finalize(store, hash, env, ctx, latest) {
+	const token = await claim(store, hash);
+	if (!token) return; // Another ?final or the sweep is on this session
+	try {
+		const done = await store.get('done:' + hash), batches = [], leftovers = [];
+		for (const key of await store.list(`frag:${hash}:`)) {
+			if (key === latest?.key) continue;
+			if (done && +key.split(':')[2] <= done) { leftovers.push(key); continue; } // Sent before ?final but listed late, already archived
+			const batch = await store.get(key);
+			if (batch) batches.push({key, ...batch});
+		}
+		if (latest) batches.push(latest);
+		await Promise.all(leftovers.map(key => store.delete(key)));
+		if (!batches.length) return;
+		const {map, dropped} = stitch(batches);
+		if (Object.keys(map).length && !(await journey(map, dropped, env, ctx, batches[0].site))) {
+			console.error('⚠️ echo: session not archived, fragments kept for the next sweep');
+			return;
+		}
+		if (latest) await store.put('done:' + hash, +latest.key.split(':')[2], ARCHIVING.AGE * 2);
+		await Promise.all(batches.map(batch => store.delete(batch.key)));
+	} finally {
+		if (await store.get('claim:' + hash) === token) await store.delete('claim:' + hash);
+	}
 }
 
-// Listens for the RHYTHM of human BEAT (default: false)
-function humanPattern(data) {
+// Best-effort single writer per session: write a claim, read it back, the last writer keeps it
+// KV has no compare-and-swap, so two claims in the same instant can both pass; a Durable Object would make it strict
+async function claim(store, hash) {
+	if (await store.get('claim:' + hash)) return null;
+	const token = Math.random().toString(36).slice(2);
+	await store.put('claim:' + hash, token, 60);
+	return await store.get('claim:' + hash) === token ? token : null;
+}
 
-	// 🚨 Important: This is an example implementation
-	// Detects 3+ slow clicks on are-you-human button (~15/12/14*are-you-human)
-	// Sets personalization field to 0100000000 to trigger client-side behavior (e.g., show welcome popup)
-	const example = data.beat.match(/((?:~(?:[5-9]|\d{2,})|\/(?:[5-9]|\d{2,}))+)\*tap-repetition-demo-button[~\d.]*$/);
-	if (example) {
-		const count = (example[1].match(/[~\/]/g) || []).length;
-		if (count >= 2) return 1; // Use personalization field position 1 (XOXXXXXXXX)
+// Tab fragments of the batches, ordered by session time, merged into one parse map -> {map, dropped}
+export function stitch(batches) {
+	batches.sort((a, b) => a.duration - b.duration || (a.key < b.key ? -1 : 1));
+	const map = {};
+	let dropped = 0;
+	for (const batch of batches) {
+		dropped += batch.dropped;
+		for (const {number, value} of batch.fragments) {
+			let data;
+			try { data = parse(value, {header: true}); } catch { dropped++; continue; }
+			const tab = map[number];
+			if (!tab) map[number] = data;
+			else { // Same tab continues where its previous fragment stopped
+				tab.events = tab.events.concat(data.events);
+				tab.scrolls += data.scrolls;
+				tab.clicks += data.clicks;
+				tab.duration = Math.max(tab.duration, data.duration);
+			}
+		}
 	}
+	return {map, dropped};
+}
+
+// Archive buffered sessions idle for ARCHIVING.IDLE or older than ARCHIVING.AGE, at most SWEEP per run
+async function sweep(env, ctx) {
+	const store = kv(env.FRAGMENTS), now = Date.now(), sessions = {};
+	for (const key of await store.list('frag:')) {
+		const [, hash, at] = key.split(':');
+		const session = sessions[hash] ||= {first: +at, last: +at};
+		session.first = Math.min(session.first, +at);
+		session.last = Math.max(session.last, +at);
+	}
+	const due = Object.entries(sessions).filter(([, {first, last}]) => now - last >= ARCHIVING.IDLE * 1000 || now - first >= ARCHIVING.AGE * 1000);
+	due.sort((a, b) => a[1].first - b[1].first);
+	if (due.length > SWEEP) console.log('⚠️ sweep: ' + (due.length - SWEEP) + ' sessions left for the next run');
+	for (const [hash] of due.slice(0, SWEEP)) await finalize(store, hash, env, ctx);
+}
+
+// Whether the request carries a score cookie signed by the edge for this session hash (STREAMING.SIGN)
+async function owns(request, hash, env) {
+	const raw = (request.headers.get('Cookie') || '').match(/(?:^|;\s*)score=([^;]+)/)?.[1];
+	if (!raw || !STREAMING.SIGN || !env.SCORE_KEY) return false;
+	const {score, sig} = split(raw);
+	return score[2] === hash && (await verify(score[0], score[2], sig, [env.SCORE_KEY, env.SCORE_KEY_OLD], STREAMING.GRACE)).status === 'valid';
+}
 
-	if (false) return 2; // Use personalization field position 2 (XXOXXXXXXX)
-	if (false) return 3; // Use personalization field position 3 (XXXOXXXXXX)
-	if (false) return 4; // Use personalization field position 4 (XXXXOXXXXX)
-	if (false) return 5; // Use personalization field position 5 (XXXXXOXXXX)
-	if (false) return 6; // Use personalization field position 6 (XXXXXXOXXX)
-	if (false) return 7; // Use personalization field position 7 (XXXXXXXOXX)
-	if (false) return 8; // Use personalization field position 8 (XXXXXXXXOX)
-	if (false) return 9; // Use personalization field position 9 (XXXXXXXXXO)
+// JSON error response for rejected echo batches, e.g. {"error":"too_large","message":"Body exceeds 65536 bytes"}
+function reject(status, error, message) {
+	return new Response(JSON.stringify({error, message}), {status, headers: {'Content-Type': 'application/json'}});
+}
+
+// Request body as text, or null once it grows past max bytes (the rest is never buffered)
+async function read(request, max) {
+	if (!request.body) return '';
+	const reader = request.body.getReader(), chunks = [];
+	let size = 0;
+	for (;;) {
+		const {done, value} = await reader.read();
+		if (done) break;
+		if ((size += value.byteLength) > max) {
+			reader.cancel().catch(() => {});
+			return null;
+		}
+		chunks.push(value);
+	}
+	const bytes = new Uint8Array(size);
+	chunks.reduce((at, chunk) => (bytes.set(chunk, at), at + chunk.byteLength), 0);
+	return new TextDecoder().decode(bytes);
+}
 
-	return null;
+// Archive a record to every sink through ctx.waitUntil, one failure doesn't stop the others
+// -> Promise of whether the record landed somewhere: one sink wrote it, or there are no sinks to write to
+function archive(record, sinks, ctx) {
+	const writes = sinks.map(sink => Promise.resolve().then(() => sink.write(record)).then(() => true, error => { // write() may be synchronous or throw
+		console.error('⚠️ sink ' + sink.name + ': ' + error.message);
+		return false;
+	}));
+	const done = Promise.all(writes).then(results => !results.length || results.includes(true));
+	ctx.waitUntil(done);
+	return done;
+}
+
+// Scan cookies, then settle the score field against its signature and the stored session state
+// site: request host, picks the adaptive baseline the bot rules are scored against
+export async function scan(cookies, env, site) {
+	const raw = cookies.match(/(?:^|;\s*)score=([^;]+)/)?.[1];
+	const {score, sig} = raw ? split(raw) : {score: ['', '', '', ''], sig: ''}, cookie = score[0]; // No score cookie: first visit or cleared
+	const junk = cookie !== '' && !FIELD.test(cookie); // Not a field the edge sets, never used for digit arithmetic
+	if (!FIELD.test(score[0])) score[0] = '0000000000';
+	let bot = null, human = null, hash = score[2];
+	for (const {value} of rhythms(cookies)) {
+		let data;
+		try { data = parse(value, {header: true}); } catch { continue; }
+		hash ||= data.hash; // Score cookie gone, rhythm cookies still carry the session hash
+		if (!data.events.length) continue;
+		const verdict = botPattern(data, tuned(await adapted(env), site, data.device, {deviation: ADAPTIVE.DEVIATION, partial: true}));
+		if (verdict && !(bot?.score >= verdict.score)) bot = verdict; // Strongest verdict across every rhythm_N
+		human ||= humanPattern(data);
+	}
+	score[2] ||= hash || ''; // The score cookie set in reply carries the rhythm hash
+
+	// Signature (STREAMING.SIGN): a forged cookie falls back to the field we signed, if the MAC held
+	const seal = STREAMING.SIGN && env.SCORE_KEY ? await verify(cookie, score[2], sig, [env.SCORE_KEY, env.SCORE_KEY_OLD], STREAMING.GRACE) : null;
+	if (seal?.status === 'forged' && seal.field) score[0] = seal.field;
+
+	// Session state (STREAMING.STATE): the stored level wins over the cookie, dropping by one every DECAY seconds
+	const store = STREAMING.STATE && env.SESSIONS && hash ? kv(env.SESSIONS) : null;
+	const state = store ? await store.get('session:' + hash) : null;
+	if (seal?.status === 'unsigned' && state?.signed) seal.status = 'forged'; // Signature stripped from a cookie the edge signed before
+	if (state) {
+		const level = Math.max(0, (+state.level || 0) - (STREAMING.DECAY ? Math.floor((Date.now() - state.updated) / 1000 / STREAMING.DECAY) : 0));
+		if (+score[0][0] < level) console.log('⛔ score: cookie level ' + score[0][0] + ' rejected (stored level ' + level + ')'); // ⛔ score: cookie level 0 rejected (stored level 2)
+		score[0] = level + score[0].slice(1);
+	}
+
+	// Unsigned or forged score cookies get their configured level on top, a malformed field counts as forged
+	const status = junk ? 'forged' : seal && seal.status !== 'valid' ? seal.status : null;
+	if (status) {
+		const level = status === 'forged' ? STREAMING.FORGED : STREAMING.UNSIGNED;
+		score[0] = score[0].replace(/^./, m => Math.max(+m, level));
+		if (level) console.log('⛔ score: ' + status + (junk ? ' field' : ' signature') + ' (level ' + score[0][0] + ')'); // ⛔ score: forged signature (level 2)
+	}
+	return {bot, human, score, sig, cookie, seal, store, state, hash, junk};
+}
+
+// Listens for the RHYTHM of bot BEAT (default: true)
+// Every registered rule runs and scores, see rules.js to add rules or tune thresholds per deployment
+// rules: tuned() for one site and device from adaptive.js, RULES by default
+export function botPattern(data, rules) {
+	return evaluate(data, rules);
+}
+
+// Listens for the RHYTHM of human BEAT (default: false)
+// Returns every slot whose spec matched, the handler decides which digits can flip
+export function humanPattern(data) {
+	const hits = HUMANS.filter(m => m.test(data));
+	return hits.length ? hits : null;
 }
@@ -0,0 +1,89 @@
+/**
+ * Edge Runner - Human Slots
+ * Copyright (c) 2025 Aidgn
+ * AGPL-3.0-or-later - See LICENSE file for details
+ *
+ * Compiles declarative personalization specs into the matchers humanPattern() runs.
+ * One spec per slot of the personalization field (XOXXXXXXXX ~ XXXXXXXXXO):
+ *
+ * slot		Position 1~9
+ * match	Selector, '!pricing' for a page or '*buy-1' for an element, '*' in the name is a wildcard
+ * sequence	Selectors that must occur in this order, e.g. ['!prod', '*buy-1', '!cart']
+ * count	Selections needed for match, or completed sequences needed for sequence (default: 1)
+ *			For match, the intervals right before a selection count while they stay in bounds, ~15/12/14*button is 3
+ * min, max	Bounds in ms for the interval leading to each counted selection
+ * last		Only counts when it is the latest page or element, i.e. happening right now (default: false)
+ * mode		How the client acknowledges after running the slot: 'repeat' sets 0 again, 'once' sets 2 (default: 'repeat')
+ *			The edge flips a 'once' slot one time per session even if the client sets 0: it checks the field it signed
+ *			(STREAMING.SIGN) and the slots kept in session state (STREAMING.STATE)
+ *
+ * The edge only ever flips 0 to 1. 2 means the slot ran once and stays off for the session.
+ */
+
+import { TOK } from './beat.js';
+
+const MODES = ['repeat', 'once'];
+
+// '!pricing' or '*buy-*' into {type, re}
+export function selector(text, tok = TOK) {
+	const type = text[0] === tok.P ? 'page' : text[0] === tok.E ? 'element' : null;
+	if (!type || text.length < 2) throw new Error(`Invalid selector: ${text} (start with ${tok.P} for pages or ${tok.E} for elements)`);
+	const name = text.slice(1).split('*').map(s => s.replace(/[\\^$.+?()[\]{}|\/]/g, '\\$&')).join('.*');
+	return {type, re: new RegExp(`^${name}$`)};
+}
+
+// Page and element selections with the intervals that led to them, ~15/12/14*button is 3 selections
+export function selections(events) {
+	const list = [];
+	let run = [];
+	for (const e of events) {
+		if (e.ms !== undefined) run.push(e.ms);
+		else if (e.type === 'page' || e.type === 'element') {
+			list.push({type: e.type, name: e.name, times: run.length ? run : [undefined]});
+			run = [];
+		}
+	}
+	return list;
+}
+
+// Compile specs into [{slot, mode, test(data)}]
+export function compile(specs, {tok = TOK} = {}) {
+	return specs.map(spec => {
+		const {slot, match, sequence, count = 1, min = 0, max = Infinity, last = false, mode = 'repeat'} = spec;
+		if (!Number.isInteger(slot) || slot < 1 || slot > 9) throw new Error(`Invalid slot: ${slot} (1~9)`);
+		if (!MODES.includes(mode)) throw new Error(`Invalid mode for slot ${slot}: ${mode} (${MODES.join(', ')})`);
+		if (!match === !sequence) throw new Error(`Slot ${slot} needs either match or sequence`);
+		const steps = (sequence || [match]).map(text => selector(text, tok));
+		const within = ms => ms === undefined ? !min : ms >= min && ms <= max;
+		const fits = (s, step) => s.type === step.type && step.re.test(s.name);
+
+		let test;
+		// Consecutive in-bounds intervals right before a selection, one out of bounds ends the run
+		const run = times => {
+			let n = 0;
+			for (let i = times.length - 1; i >= 0 && within(times[i]); i--) n++;
+			return n;
+		};
+
+		if (match) test = data => {
+			let list = selections(data.events);
+			if (last) list = list.slice(-1);
+			let n = 0;
+			for (const s of list) if (fits(s, steps[0])) n += run(s.times);
+			return n >= count;
+		};
+		else test = data => {
+			const list = selections(data.events);
+			let step = 0, done = 0, end = -1;
+			for (let i = 0; i < list.length; i++) {
+				if (!fits(list[i], steps[step]) || !list[i].times.some(within)) continue;
+				if (++step < steps.length) continue;
+				step = 0;
+				done++;
+				end = i;
+			}
+			return done >= count && (!last || end === list.length - 1);
+		};
+		return {slot, mode, test};
+	});
+}
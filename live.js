@@ -0,0 +1,95 @@
+/**
+ * Edge Runner - Live Feed
+ * Copyright (c) 2025 Aidgn
+ * AGPL-3.0-or-later - See LICENSE file for details
+ *
+ * Fan-out of live streaming events to /rhythm/live subscribers as Server-Sent Events.
+ * Every event carries type, at (ms) and hash, the session hash with STREAMING.HASH or a keyed pseudonym (s-3f9a2c1d):
+ * - session: first RHYTHM of a session seen here {device, referrer, level}
+ * - beat: tokens a rhythm_N cookie gained since the previous RHYTHM {rhythm, beat: '!p1 ~240.3 *buy-1'}
+ * - bot: bot verdict at STREAMING.CHALLENGE or above {rule: 'MachineGun:12', score, level}, rule names only with PRIVACY.REDACT
+ * - level: security level change {from, to, reason}
+ * - slot: personalization slot flip {slot, field}
+ *
+ * A hub is {publish(event), subscribe(fn) -> unsubscribe}, with an optional subscribers count (0 skips the work), passed as env.LIVE.
+ * hub() keeps subscribers in memory, so it is for a single Node or Deno process only (the adapters pass one).
+ * Workers and Vercel spread requests over instances and need a cross-instance channel, e.g. a wrapper around a
+ * Durable Object or Redis pub/sub. Without env.LIVE /rhythm/live answers 501.
+ */
+
+const SEEN = 10000; // Sessions tracked for new tokens before the oldest are forgotten
+const PING = 15000; // Heartbeat interval in ms, keeps proxies from closing an idle stream
+const QUEUE = 256; // Events buffered per subscriber, a stalled dashboard misses the rest
+
+// In-memory hub
+export function hub() {
+	const listeners = new Set();
+	return {
+		get subscribers() {
+			return listeners.size;
+		},
+		publish(event) {
+			for (const fn of listeners) {
+				try { fn(event); } catch (error) { console.error('⚠️ live: ' + error.message); }
+			}
+		},
+		subscribe(fn) {
+			listeners.add(fn);
+			return () => listeners.delete(fn);
+		}
+	};
+}
+
+// Events new since the last call per session hash and rhythm_N, a shorter cookie means it was emptied by an echo
+export function tracker(limit = SEEN) {
+	const sessions = new Map();
+	return {
+		// -> {fresh: first call for this hash, events: new events}
+		advance(hash, number, events) {
+			let seen = sessions.get(hash);
+			const fresh = !seen;
+			if (fresh) {
+				if (sessions.size >= limit) sessions.delete(sessions.keys().next().value);
+				sessions.set(hash, seen = {});
+			}
+			const from = events.length >= (seen[number] || 0) ? seen[number] || 0 : 0;
+			seen[number] = events.length;
+			return {fresh, events: events.slice(from)};
+		}
+	};
+}
+
+// SSE body streaming hub events until the client goes away
+// options: {hash: one session only, types: event types to pass, signal: request.signal, note: comment sent on connect}
+export function stream(feed, {hash, types, signal, note} = {}) {
+	const encoder = new TextEncoder();
+	let stop = () => {};
+	return new ReadableStream({
+		start(controller) {
+			let id = 0, open = true;
+			const send = text => {
+				if (open) controller.enqueue(encoder.encode(text));
+			};
+			const unsubscribe = feed.subscribe(event => {
+				if ((hash && event.hash !== hash) || (types && !types.includes(event.type))) return;
+				if (controller.desiredSize <= 0) return; // Client not reading, drop instead of piling up
+				send(`id: ${++id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+			});
+			const ping = setInterval(() => send(': ping\n\n'), PING);
+			stop = () => {
+				if (!open) return;
+				open = false;
+				clearInterval(ping);
+				unsubscribe();
+				try { controller.close(); } catch {}
+			};
+			if (signal?.aborted) return stop();
+			signal?.addEventListener('abort', stop, {once: true});
+			send(': connected\n\n'); // Flushes headers through buffering proxies
+			if (note) send(`: ${note}\n\n`);
+		},
+		cancel() {
+			stop();
+		}
+	}, {highWaterMark: QUEUE});
+}
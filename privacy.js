@@ -0,0 +1,53 @@
+/**
+ * Edge Runner - Privacy
+ * Copyright (c) 2025 Aidgn
+ * AGPL-3.0-or-later - See LICENSE file for details
+ *
+ * Redaction policy for page and element names, applied to parsed events before
+ * live streaming logs, archiving and AI calls. Order per name:
+ * 1. DENY match -> [redacted]
+ * 2. SCRUB regexes replace matching parts with [x], e.g. IDs or e-mails inside names
+ * 3. ALLOW empty or matched -> kept (scrubbed)
+ * 4. Anything else -> keyed hash h-3f9a2c1d (same name, same hash, needs a key) or [redacted]
+ * Intervals are rounded to COARSEN ms, blurring timing fingerprints.
+ *
+ * ALLOW and DENY take selectors like human.js: '!home' for pages, '*buy-*' for elements.
+ */
+
+import { selector } from './human.js';
+import { TOK } from './beat.js';
+import { mac } from './sign.js';
+
+const CACHE = 10000; // Names remembered per policy before the cache starts over
+
+// Compile PRIVACY settings into redact(events) -> events, key: secret for hashing names, tok: Token the selectors are written in
+export function policy(settings, key, tok = TOK) {
+	const allow = settings.ALLOW.map(text => selector(text, tok)), deny = settings.DENY.map(text => selector(text, tok));
+	const scrub = settings.SCRUB.map(source => new RegExp(source, 'g'));
+	const fits = (list, type, name) => list.some(s => s.type === type && s.re.test(name));
+	const names = new Map();
+
+	async function rename(type, name) {
+		if (fits(deny, type, name)) return '[redacted]';
+		const scrubbed = scrub.reduce((text, re) => text.replace(re, '[x]'), name);
+		if (!allow.length || fits(allow, type, name)) return scrubbed;
+		return settings.HASH && key ? 'h-' + (await mac(key, `${type}:${name}`)).slice(0, 8) : '[redacted]';
+	}
+
+	return async function redact(events) {
+		if (!settings.REDACT) return events;
+		const out = [];
+		for (const e of events) {
+			if (e.type === 'page' || e.type === 'element') {
+				const id = `${e.type}:${e.name}`;
+				if (!names.has(id)) {
+					if (names.size >= CACHE) names.clear();
+					names.set(id, await rename(e.type, e.name));
+				}
+				out.push({type: e.type, name: names.get(id)});
+			} else if (e.ms !== undefined && settings.COARSEN) out.push({type: e.type, ms: Math.round(e.ms / settings.COARSEN) * settings.COARSEN});
+			else out.push(e);
+		}
+		return out;
+	};
+}
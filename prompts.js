@@ -0,0 +1,188 @@
+/**
+ * Edge Runner - AI Prompts
+ * Copyright (c) 2025 Aidgn
+ * AGPL-3.0-or-later - See LICENSE file for details
+ *
+ * Prompt template registry for AI insights of archived BEAT logs.
+ * A template is build(vars, base) -> system prompt, registered under a name (ARCHIVING.PROMPT)
+ * and optionally scoped to one site TYPE, where it overrides the general template of that name.
+ *
+ * vars: {tok, time, hash, space, json, type, site}
+ * - tok, time, hash, space: BEAT Token and the TIME, HASH, SPACE settings the example must follow
+ * - json: structured output mode, the model returns one JSON object instead of [KEY] lines
+ * - type, site: ARCHIVING.TYPE and its ARCHIVING.SITE description
+ *
+ * 🚨 Important: The prompt dynamically adjusts based on BEAT Token and TIME, HASH, SPACE settings
+ * Please review the structure carefully before making modifications
+ */
+
+import { EX_EVENTS, serialize } from './beat.js';
+
+const TEMPLATES = new Map(); // name -> {build, keys}, name@type -> site type override
+const BEHAVIORS = ['Normal', 'Confused', 'Irregular', 'Bot-like'];
+const SAMPLE = {
+	CONTEXT: 'Mobile user, Mapped(5) visit, 56 scrolls, 15 clicks, 1880.4 seconds',
+	SUMMARY: 'Landed on homepage, hesitated in help section with repeated clicks at 37 and 12 second intervals. Moved to product page, opened details in a new tab, viewed images for about 240 seconds. Tapped buy button three times at 1.3, 0.8, and 0.8 second intervals. Returned after 660 seconds and opened cart but didn\'t proceed to checkout.',
+	ISSUE: 'Cart reached but purchase not completed. Repeated buy actions may reflect either intentional multi-item additions or friction in option selection. Long delay before checkout suggests uncertainty.',
+	ACTION: 'Evaluate if repeated buy or cart actions represent deliberate comparison behavior or checkout friction. If friction is likely, simplify option handling and highlight key product details earlier in the flow.'
+};
+
+// Shared body of the built-in templates, context adds the [CONTEXT] field of PROMPT 2
+export function base(vars, {context = false} = {}) {
+	const {tok: T, json} = vars;
+	const time = vars.time ? `"time":"1735680000",` : '';
+	const hash = vars.hash ? `"hash":"x7n4kb2p",` : '';
+	const example = serialize(EX_EVENTS, {tok: T, space: vars.space, seconds: true});
+	const space = vars.space ? ' ' : '';
+	const keys = [...(context ? ['CONTEXT'] : []), ...(json ? ['BEHAVIOR'] : []), 'SUMMARY', 'ISSUE', 'ACTION'];
+	const head = key => json ? `"${key.toLowerCase()}"` : `[${key}]`;
+	const sample = {...SAMPLE, BEHAVIOR: 'Confused', SUMMARY: (json ? '' : 'Confused behavior. ') + SAMPLE.SUMMARY};
+	const output = json ? JSON.stringify(Object.fromEntries(keys.map(key => [key.toLowerCase(), sample[key]]))) : keys.map(key => `[${key}] ${sample[key]}`).join('\n');
+	const lines = [
+		'You are a web analytics expert specializing in user behavior pattern recognition, and your task is to convert NDJSON data into precise natural-language analysis.',
+		json ? `Produce exactly one JSON object with these keys in this order: ${keys.map(head).join(', ')}.` : `Produce exactly ${context ? 'four' : 'three'} lines in this order: ${keys.map(head).join(', ')}.`,
+		`Follow the << EXAMPLE >> format exactly, but note the site type: ${vars.site}`,
+		'Do not include any extra text and do not quote the input.' + (json ? ' Do not wrap the JSON in code fences.' : ''),
+		'',
+		'----------',
+		'',
+		'<< EXAMPLE >>',
+		'',
+		`Input = {${time}${hash}"device":1,"referrer":5,"scrolls":56,"clicks":15,"duration":1880.4,"beat":"${example}"}`,
+		'',
+		'Output =',
+		output,
+		'',
+		'----------',
+		''
+	];
+	if (context) lines.push(
+		head('CONTEXT'),
+		'Write by comparing the NDJSON fields as follows.',
+		'',
+		'"device":',
+		'0 = Desktop user',
+		'1 = Mobile user',
+		'2 = Tablet user',
+		'',
+		'"referrer":',
+		'0 = Direct visit',
+		'1 = Internal visit',
+		'2 = Unknown visit',
+		'3+ = Mapped(n) visit',
+		'',
+		'"scrolls":',
+		'Use the input value as is. (e.g., 13 scrolls)',
+		'',
+		'"clicks":',
+		'Use the input value as is. (e.g., 25 clicks)',
+		'',
+		'"duration":',
+		'Use the input value as is. (e.g., 257.9 seconds)',
+		'',
+		'---',
+		''
+	);
+	lines.push(
+		head('SUMMARY'),
+		'Analyze the "beat" field. ' + (json ? `Put one behavior type in ${head('BEHAVIOR')} as ${BEHAVIORS.join(', ')}.` : 'Start with one behavior type and put it as the first word.') + ' Summarize the user journey chronologically using time intervals. ' + (context ? 'Keep it factual and concise.' : 'Keep it brief, following the << EXAMPLE >> length.'),
+		'',
+		'Behavior Types:',
+		'Normal behavior = Varied rhythm with smooth flow and human-like patterns',
+		'Confused behavior = Hesitant rhythm with repetitive and abandonment patterns',
+		'Irregular behavior = Erratic rhythm with potentially fake or manipulated patterns',
+		'Bot-like behavior = Mechanical rhythm with perfect timing, 0 scrolls, or repeated page navigation showing non-human patterns',
+		'',
+		'Beat Syntax:',
+		`${T.P} = page`,
+		`${T.E} = element`,
+		`${T.T} = time interval from the previous event to selecting the next event`,
+		`${T.A} = time interval when repeatedly selecting the same event`,
+		'___N = tab switch',
+		`(e.g., ${T.P}home, ${T.P}product-01, ${T.P}x3n, ${T.P}ds9df, ${T.E}7div1, ${T.E}6p4, ${T.E}button, ${T.T}1.3, ${T.T}43.1${T.A}0.6${T.A}1.2, ${T.T}6.4${T.A}8.3, ___2, ___1, ___3)`,
+		'',
+		'Beat Interpretation:',
+		`The beat always starts with '${T.P}' (page), and it's likely to begin with ${T.P}home.`,
+		`'${T.A}' shows time intervals when the same element is selected repeatedly. For example, ${T.T}1.3${T.A}0.8${T.A}0.8${space}${T.E}button means ${T.T}1.3${space}${T.E}button${space}${T.T}0.8${space}${T.E}button${space}${T.T}0.8${space}${T.E}button.`,
+		`Beat syntax should be interpreted in two group units to understand the entire flow and write effectively. The small group is from '${T.P}' (page) until the next '${T.P}' (page) appears. The large group is from '___N' (tab switch) until the next '___N' (tab switch) appears.`,
+		`Time interval notations like '${T.T}' or '${T.A}' that appear immediately after '___N' (tab switch) include the elapsed time while being away from that tab. That's why time elapsed descriptions are mandatory, as shown in the EXAMPLE.`,
+		'',
+		'---',
+		'',
+		head('ISSUE'),
+		'Identify the conversion inhibitors or causes of metric distortion from the SUMMARY. Keep it concise and factual.',
+		'',
+		'---',
+		'',
+		head('ACTION'),
+		'Suggest one clear and specific measure to resolve the ISSUE.'
+	);
+	return lines.join('\n');
+}
+
+// Add a template, or a site type override with {type}
+// keys: fields the reply must carry in structured output mode
+export function register(name, build, {type, keys = ['behavior', 'summary', 'issue', 'action']} = {}) {
+	TEMPLATES.set(type ? `${name}@${type}` : String(name), {build, keys});
+}
+
+// Whether a template exists under this name
+export function has(name) {
+	return TEMPLATES.has(String(name));
+}
+
+// System and user messages for one archived record, site type override first
+export function messages(name, vars, input) {
+	const template = TEMPLATES.get(`${name}@${vars.type}`) || TEMPLATES.get(String(name));
+	if (!template) throw new Error(`Unknown prompt template: ${name}`);
+	return {keys: template.keys, list: [{role: 'system', content: template.build(vars, base)}, {role: 'user', content: input}]};
+}
+
+// Text out of a model result: Responses API output (gpt-oss), {response}, or chat completion choices
+export function reply(result) {
+	const output = result?.output?.filter(x => x.type === 'message').flatMap(x => x.content ?? []).map(c => c?.text).filter(Boolean);
+	const text = output?.length ? output.join('\n')
+		: typeof result?.response === 'string' ? result.response
+		: result?.response && typeof result.response === 'object' ? JSON.stringify(result.response)
+		: result?.choices?.[0]?.message?.content;
+	if (typeof text !== 'string' || !text.trim()) throw new Error('Model reply has no text');
+	return text;
+}
+
+// [SUMMARY] ... lines into {summary, ...}
+export function lines(text) {
+	const fields = {};
+	for (const m of text.matchAll(/^\s*\[([A-Z]+)\]\s*(.*)$/gm)) fields[m[1].toLowerCase()] = m[2].trim();
+	return Object.keys(fields).length ? fields : {text: text.trim()};
+}
+
+// Validated JSON reply with every key as non-empty text and a known behavior, or null
+export function structured(text, keys) {
+	const start = text.indexOf('{'), end = text.lastIndexOf('}');
+	if (start < 0 || end < start) return null;
+	let data;
+	try { data = JSON.parse(text.slice(start, end + 1)); } catch { return null; }
+	if (!data || typeof data !== 'object' || keys.some(key => typeof data[key] !== 'string' || !data[key].trim())) return null;
+	if ('behavior' in data) {
+		const behavior = BEHAVIORS.find(b => data.behavior.trim().toLowerCase().startsWith(b.toLowerCase()));
+		if (!behavior) return null;
+		data.behavior = behavior;
+	}
+	return Object.fromEntries(keys.map(key => [key, data[key].trim()]));
+}
+
+// Run the model and return the insight, retrying malformed JSON replies up to retry times
+export async function ask(ai, {model, name, vars, input, retry = 1}) {
+	const {keys, list} = messages(name, vars, input);
+	for (let attempt = 0; ; attempt++) {
+		const text = reply(await ai.run(model, model.includes('gpt-oss') ? {input: list.map(m => `[${m.role.toUpperCase()}]\n${m.content}`).join('\n\n')} : {messages: list}));
+		if (!vars.json) return lines(text);
+		const data = structured(text, keys);
+		if (data) return data;
+		if (attempt >= retry) throw new Error(`Malformed JSON reply after ${attempt + 1} attempts`);
+		list.push({role: 'assistant', content: text}, {role: 'user', content: `Reply again with only the JSON object, keys ${keys.join(', ')}, every value a non-empty string.`});
+	}
+}
+
+register(1, vars => base(vars));
+register(2, vars => base(vars, {context: true}), {keys: ['context', 'behavior', 'summary', 'issue', 'action']});
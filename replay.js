@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+/**
+ * Edge Runner - Replay
+ * Copyright (c) 2025 Aidgn
+ * AGPL-3.0-or-later - See LICENSE file for details
+ *
+ * Runs saved traffic through the detectors offline in Node, no edge runtime needed:
+ *   node replay.js traffic.txt [--json] [--verbose]
+ *   cat journeys.ndjson | node replay.js -
+ *
+ * One item per line, blank lines and # comments skipped:
+ * - Cookie header of a livestreaming request: score=...; rhythm_1=...; rhythm_2=...
+ * - Archived journey as NDJSON: {"beat":"!home ~23.7 *nav-2", ...}
+ * - Labeled for the confusion report: bot<TAB>cookies, human<TAB>cookies, or "label":"bot" in the JSON
+ * Sessions that fail to parse are reported on stderr, counted as skipped, and the run goes on. Any other error
+ * is a bug and ends the run with a non-zero exit code.
+ *
+ * Cookie lines of one session (hash) go through the livestreaming handler in order, and the score cookie
+ * it sets is carried to the next line, so transitions show as they would at the edge. The last line is merged
+ * like /rhythm/echo. Settings come from the environment as at the edge (config.js):
+ *   STREAMING_CHALLENGE=0.6 node replay.js traffic.txt
+ */
+
+import { readFileSync } from 'node:fs';
+import runner, { setup, scan, botPattern, humanPattern, merge } from './edgerunner.js';
+import { parse, rhythms } from './beat.js';
+import { label } from './rules.js';
+import { memory } from './store.js';
+import { waiter } from './adapters/platform.js';
+
+const LABELS = ['bot', 'human'];
+
+// Lines into sessions: cookie lines grouped by hash in order, every journey on its own
+function sessions(text) {
+	const list = new Map();
+	text.split(/\r?\n/).forEach((line, i) => {
+		line = line.trim();
+		if (!line || line.startsWith('#')) return;
+		let tag = null;
+		const m = line.match(/^(bot|human)\t(.*)$/);
+		if (m) [, tag, line] = m;
+		if (line.startsWith('{')) {
+			let data;
+			try { data = JSON.parse(line); } catch { return console.error(`⚠️ line ${i + 1}: invalid JSON`); }
+			const key = data.hash || `line ${i + 1}`;
+			return list.set(list.has(key) ? `${key}@${i + 1}` : key, {type: 'journey', label: tag || data.label || null, data});
+		}
+		const score = line.match(/score=([^;\s]+)/)?.[1];
+		const hash = score?.split('.')[0].split('___')[0].split('_')[2] || rhythms(line).map(r => r.value.split('_')[2]).find(Boolean) || `line ${i + 1}`;
+		const session = list.get(hash) || list.set(hash, {type: 'cookies', label: null, lines: []}).get(hash);
+		session.label ||= tag;
+		session.lines.push(line);
+	});
+	return list;
+}
+
+// Run fn with console.log/error silenced unless verbose
+async function quiet(verbose, fn) {
+	if (verbose) return fn();
+	const {log, error} = console;
+	console.log = console.error = () => {};
+	try { return await fn(); } finally { Object.assign(console, {log, error}); }
+}
+
+// Replay one cookie session: verdicts per line, score transitions, then the echo merge of the last line
+async function cookies(session, env, verbose) {
+	let score = null, top = null, human = new Set();
+	const transitions = [];
+	for (let line of session.lines) {
+		if (score) line = /score=[^;\s]+/.test(line) ? line.replace(/score=[^;\s]+/, () => 'score=' + score) : `score=${score}; ${line}`;
+		else if (!/score=/.test(line)) line = `score=0000000000__${rhythms(line).map(r => r.value.split('_')[2]).find(Boolean) || ''}; ${line}`; // First visit, no score cookie yet
+		const before = line.match(/score=([^_;\s]*)/)[1];
+		if (transitions[transitions.length - 1] !== before) transitions.push(before);
+		const match = await quiet(verbose, () => scan(line, env));
+		if (match.bot && (!top || match.bot.score > top.score)) top = match.bot;
+		for (const {slot} of match.human || []) human.add(slot);
+		const background = waiter();
+		const response = await quiet(verbose, async () => {
+			const response = await runner.fetch(new Request('https://replay.local/rhythm/?livestreaming', {method: 'HEAD', headers: {Cookie: line}}), env, {waitUntil: background.waitUntil});
+			await background.settle();
+			return response;
+		});
+		const set = response.headers.get('Set-Cookie')?.match(/^score=([^;]+)/)?.[1];
+		score = set || line.match(/score=([^;\s]+)/)[1];
+		const field = score.split('_')[0];
+		if (transitions[transitions.length - 1] !== field) transitions.push(field);
+	}
+	const map = {};
+	for (const {number, value} of rhythms(session.lines[session.lines.length - 1])) {
+		if (!Number.isInteger(number) || map[number]) continue;
+		try { map[number] = parse(value, {header: true}); } catch {}
+	}
+	const joined = Object.keys(map).length ? merge(map) : null;
+	return {
+		lines: session.lines.length,
+		transitions,
+		bot: top,
+		human: [...human].sort(),
+		beat: joined?.merge.beat ?? null,
+		journey: joined ? botPattern({events: joined.flow}) : null,
+		flagged: +transitions[transitions.length - 1][0] > 0
+	};
+}
+
+// Replay one archived journey through the detectors
+function journey(session) {
+	const data = parse(session.data.beat || '');
+	const bot = botPattern(data);
+	return {lines: 1, transitions: [], bot, human: (humanPattern(data) || []).map(m => m.slot), beat: session.data.beat, journey: bot, flagged: false};
+}
+
+// Confusion counts over labeled sessions, bot as the positive class, or null without labels
+function confusion(results) {
+	const c = {tp: 0, fn: 0, fp: 0, tn: 0};
+	for (const r of results) if (LABELS.includes(r.label)) c[r.label === 'bot' ? (r.predicted === 'bot' ? 'tp' : 'fn') : (r.predicted === 'bot' ? 'fp' : 'tn')]++;
+	const total = c.tp + c.fn + c.fp + c.tn;
+	if (!total) return null;
+	const ratio = (a, b) => b ? +(a / b).toFixed(3) : null;
+	return {total, ...c, precision: ratio(c.tp, c.tp + c.fp), recall: ratio(c.tp, c.tp + c.fn), accuracy: ratio(c.tp + c.tn, total)};
+}
+
+async function main(argv) {
+	const flags = argv.filter(a => a.startsWith('--')), files = argv.filter(a => !a.startsWith('--'));
+	if (!files.length) {
+		console.error('Usage: node replay.js <file | -> [--json] [--verbose]');
+		return 2;
+	}
+	const json = flags.includes('--json'), verbose = flags.includes('--verbose');
+	const env = {...process.env, SCORE_KEY: process.env.SCORE_KEY || 'replay', SESSIONS: memory()};
+	const {config, errors} = setup(env);
+	if (errors.length) return 1; // Already reported by setup()
+
+	const results = [];
+	let skipped = 0;
+	for (const file of files)
+		for (const [key, session] of sessions(readFileSync(file === '-' ? 0 : file, 'utf8'))) {
+			let result;
+			try {
+				result = session.type === 'journey' ? journey(session) : await cookies(session, env, verbose);
+			} catch (error) { // One malformed record doesn't end the run, anything else does
+				if (!(error instanceof SyntaxError)) throw error;
+				console.error(`⚠️ ${key}: ${error.message}`);
+				skipped++;
+				continue;
+			}
+			const score = Math.max(result.bot?.score || 0, result.journey?.score || 0);
+			const predicted = result.flagged || score >= config.STREAMING.CHALLENGE ? 'bot' : 'human';
+			results.push({session: key, label: session.label, predicted, score, ...result});
+		}
+
+	for (const r of results) {
+		if (json) {
+			console.log(JSON.stringify({...r, bot: r.bot && label(r.bot), journey: r.journey && label(r.journey)}));
+			continue;
+		}
+		const mark = r.label ? ` (labeled ${r.label}${r.label === r.predicted ? '' : ' ✗'})` : '';
+		console.log(`${r.session}  ${r.predicted}${mark}  ${r.lines} line${r.lines === 1 ? '' : 's'}`);
+		if (r.transitions.length) console.log(`  score   ${r.transitions.join(' → ')}`);
+		console.log(`  bot     ${label(r.bot) || '-'}${r.bot ? ` (${r.bot.score})` : ''}`);
+		if (r.journey && r.journey !== r.bot) console.log(`  merged  ${label(r.journey)} (${r.journey.score})`);
+		if (r.human.length) console.log(`  human   slot ${r.human.join(', ')}`);
+		if (r.beat) console.log(`  beat    ${r.beat.length > 120 ? r.beat.slice(0, 117) + '...' : r.beat}`);
+	}
+	if (skipped && json) console.log(JSON.stringify({skipped}));
+	else if (skipped) console.log(`\nSkipped ${skipped} malformed session${skipped === 1 ? '' : 's'}`);
+	const c = confusion(results);
+	if (c && json) console.log(JSON.stringify({confusion: c}));
+	else if (c) console.log([
+		'',
+		`Confusion (${c.total} labeled sessions, bot at score ${config.STREAMING.CHALLENGE}+ or security level 1+)`,
+		'           predicted bot  predicted human',
+		`  bot      ${String(c.tp).padStart(13)}  ${String(c.fn).padStart(15)}`,
+		`  human    ${String(c.fp).padStart(13)}  ${String(c.tn).padStart(15)}`,
+		`  precision ${c.precision ?? '-'}  recall ${c.recall ?? '-'}  accuracy ${c.accuracy ?? '-'}`
+	].join('\n'));
+	return 0;
+}
+
+process.exitCode = await main(process.argv.slice(2));
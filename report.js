@@ -0,0 +1,146 @@
+/**
+ * Edge Runner - Journey Report
+ * Copyright (c) 2025 Aidgn
+ * AGPL-3.0-or-later - See LICENSE file for details
+ *
+ * Cross-session analytics over archived journeys (the 'journeys' sink), served by /rhythm/report.
+ * - paths: most frequent page paths
+ * - transitions: page-to-page counts, (exit) where the journey ended
+ * - funnel: sessions reaching each step in order, e.g. ['!prod', '*buy-1', '!cart', '!checkout']
+ * - dwell: time per page visit in seconds, percentiles and histogram
+ * - rage: rapid repeat runs (~13/2/2*buy-1) per page and element
+ * With k (PRIVACY.K), paths, transitions, dwell pages and rage spots seen in fewer than k sessions are left out,
+ * so a rare journey cannot point at one visitor. Counts and funnel totals stay exact.
+ */
+
+import { parse } from './beat.js';
+import { facts } from './summary.js';
+import { selector, selections } from './human.js';
+
+export const DWELL = [5, 15, 30, 60, 180]; // Histogram edges in seconds
+const BUCKET = 1e8; // Milliseconds per listed key prefix, the first 5 of 13 digits
+const DIGITS = 13; // Digits of the millisecond timestamp in journey keys
+const PAGES = 30; // KV list requests per load
+const PAGE = 1000; // Keys per KV list page
+const BATCH = 50; // Records read at once
+
+const sec = ms => +(ms / 1000).toFixed(1);
+const rank = (counts, top) => Object.entries(counts).sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1)).slice(0, top);
+
+// Dwell times of one page (ms) into seconds: visits, mean, p50, p90, max and histogram
+function spread(list) {
+	list = list.slice().sort((a, b) => a - b);
+	const at = q => sec(list[Math.min(list.length - 1, Math.floor(q * list.length))]);
+	const histogram = Object.fromEntries(DWELL.map(edge => [`<${edge}s`, 0]).concat([[`${DWELL[DWELL.length - 1]}s+`, 0]]));
+	const labels = Object.keys(histogram);
+	for (const ms of list) {
+		const i = DWELL.findIndex(edge => ms / 1000 < edge);
+		histogram[labels[i < 0 ? DWELL.length : i]]++;
+	}
+	return {visits: list.length, mean: sec(list.reduce((x, y) => x + y, 0) / list.length), p50: at(0.5), p90: at(0.9), max: sec(list[list.length - 1]), histogram};
+}
+
+// Newest limit stored journeys between from and to (ms), oldest first -> {records, truncated}
+// Keys are listed one time bucket (journey:<first 5 digits>, about 28 hours) at a time from to backwards, at most
+// PAGES list requests, then read BATCH at a time. Workers cap subrequests per invocation, so a report is a recent
+// sample: truncated when older journeys in the window were left out. Full history belongs to the bucket or queue sink.
+// store: kv() JSON store from store.js
+export async function load(store, {from = 0, to = Infinity, limit = 200} = {}) {
+	const keys = [], oldest = Math.floor(from / BUCKET), budget = {pages: PAGES, cut: false}, range = {from, to: Math.min(to, Date.now())};
+	let bucket = Math.floor(range.to / BUCKET);
+	for (; bucket >= oldest && keys.length <= limit && budget.pages > 0; bucket--) // One past limit tells whether older ones were left out
+		keys.push(...await newest(store, String(bucket).padStart(5, '0'), range, limit + 1 - keys.length, budget));
+	const truncated = keys.length > limit || bucket >= oldest || budget.cut;
+	const records = [];
+	for (const batch of chunks(keys.slice(0, limit).reverse(), BATCH)) records.push(...await Promise.all(batch.map(key => store.get(key))));
+	return {records: records.filter(Boolean), truncated};
+}
+
+// Up to want journey keys whose time starts with digits, inside range, newest first. KV lists oldest first only,
+// so a prefix with more than a PAGE of keys is listed again as its ten narrower prefixes from 9 down (a busy
+// bucket gives its newest keys, not its oldest). budget: {pages} left for every call, cut once it ran out
+async function newest(store, digits, range, want, budget) {
+	const span = 10 ** (DIGITS - digits.length), start = +digits * span;
+	if (start > range.to || start + span <= range.from) return []; // Nothing in range, no request
+	if (budget.pages <= 0) return (budget.cut = true, []);
+	budget.pages--;
+	const names = await store.list(`journey:${digits}`, PAGE);
+	if (names.length < PAGE || digits.length >= DIGITS) return names.filter(key => {
+		const at = +key.split(':')[1];
+		return at >= range.from && at <= range.to;
+	}).reverse();
+	const keys = [];
+	for (let digit = 9; digit >= 0 && keys.length < want; digit--) keys.push(...await newest(store, digits + digit, range, want - keys.length, budget));
+	return keys;
+}
+
+// List split into runs of size
+function chunks(list, size) {
+	const out = [];
+	for (let i = 0; i < list.length; i += size) out.push(list.slice(i, i + size));
+	return out;
+}
+
+// Aggregate journeys into {sessions, skipped, paths, transitions, funnel, dwell, rage}
+// options: {funnel: selectors, device: only this device, top: entries per ranking, k: minimum sessions per entry}
+export function aggregate(records, {funnel = [], device, top = 10, k = 0} = {}) {
+	const steps = funnel.map(text => ({text, ...selector(text)}));
+	const paths = {}, transitions = {}, pairs = {}, dwell = {}, rage = {}, reached = steps.map(() => 0);
+	let sessions = 0, skipped = 0;
+
+	for (const record of records) {
+		if (device !== undefined && record.device !== device) continue;
+		let data;
+		try { data = parse(record.beat || ''); } catch { skipped++; continue; }
+		sessions++;
+
+		const f = facts(data);
+		const pages = f.pages.map(p => p.name).filter((name, i, list) => name !== list[i - 1]); // Reloads collapse
+		const path = pages.length > 8 ? pages.slice(0, 8).join(' → ') + ' → …' : pages.join(' → ');
+		paths[path] = (paths[path] || 0) + 1;
+		const seen = new Set();
+		pages.forEach((name, i) => {
+			const to = pages[i + 1] ?? '(exit)';
+			(transitions[name] ||= {})[to] = (transitions[name][to] || 0) + 1;
+			const pair = `${name} → ${to}`;
+			if (!seen.has(pair)) seen.add(pair), pairs[pair] = (pairs[pair] || 0) + 1; // Sessions per transition, for k
+		});
+		seen.clear();
+		f.pages.forEach((p, i) => {
+			if (!p.dwell && i === f.pages.length - 1) return; // Last page without intervals has no known dwell
+			const list = dwell[p.name] ||= Object.assign([], {sessions: 0});
+			if (!seen.has(p.name)) seen.add(p.name), list.sessions++;
+			list.push(p.dwell);
+		});
+		for (const b of f.bursts.filter(b => b.rapid)) {
+			const id = `${b.page ?? ''} › ${b.name}`;
+			const spot = rage[id] ||= {page: b.page ?? null, element: b.name, bursts: 0, max: 0, sessions: new Set()};
+			spot.bursts++;
+			spot.max = Math.max(spot.max, b.count);
+			spot.sessions.add(sessions);
+		}
+
+		let step = 0; // Funnel steps must happen in order
+		for (const s of selections(data.events)) if (step < steps.length && s.type === steps[step].type && steps[step].re.test(s.name)) reached[step++]++;
+	}
+
+	const common = count => count >= k;
+	for (const from in transitions) {
+		for (const to in transitions[from]) if (!common(pairs[`${from} → ${to}`])) delete transitions[from][to];
+		if (!Object.keys(transitions[from]).length) delete transitions[from];
+	}
+	return {
+		sessions,
+		skipped,
+		paths: rank(paths, top).filter(([, count]) => common(count)).map(([path, count]) => ({path, count})),
+		transitions,
+		funnel: steps.map((s, i) => ({
+			step: s.text,
+			reached: reached[i],
+			dropped: (i ? reached[i - 1] : sessions) - reached[i],
+			rate: sessions ? +(reached[i] / sessions).toFixed(3) : 0
+		})),
+		dwell: Object.fromEntries(rank(Object.fromEntries(Object.entries(dwell).filter(([, list]) => common(list.sessions)).map(([name, list]) => [name, list.length])), top).map(([name]) => [name, spread(dwell[name])])),
+		rage: Object.values(rage).filter(spot => common(spot.sessions.size)).sort((a, b) => b.bursts - a.bursts || b.max - a.max).slice(0, top).map(({sessions, ...spot}) => spot)
+	};
+}
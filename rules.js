@@ -0,0 +1,123 @@
+/**
+ * Edge Runner - Bot Rules
+ * Copyright (c) 2025 Aidgn
+ * AGPL-3.0-or-later - See LICENSE file for details
+ *
+ * Rule registry for botPattern(). Every rule declares its name, thresholds (limit),
+ * minimum sample size (min) and a weight between 0 and 1. evaluate() runs every rule
+ * and combines the weights of the ones that fired into a single confidence score:
+ * score = 1 - (1 - w1)(1 - w2)...
+ *
+ * Add site-specific rules with register() and tune thresholds with tune(),
+ * no need to fork the detectors.
+ */
+
+import { TIC } from './beat.js';
+
+const times = data => data.events.filter(e => e.type === 'interval').map(e => e.ms);
+const steps = data => data.events.filter(e => e.ms !== undefined);
+const pages = data => data.events.filter(e => e.type === 'page');
+const elements = data => data.events.filter(e => e.type === 'element').map(e => e.name);
+
+export const RULES = [
+
+	// MachineGun: 200ms or less, 10+ consecutive
+	{name: 'MachineGun', weight: 0.9, min: 10, limit: {ms: 200, run: 10}, sample: times, test(ms, limit) {
+		for (let i = 0, count = 0; i < ms.length; i++)
+			if ((count = ms[i] <= limit.ms ? count + 1 : 0) >= limit.run) return count;
+		return null;
+	}},
+
+	// Metronome: same interval 8+ times in a row
+	{name: 'Metronome', weight: 0.9, min: 8, limit: {run: 8}, sample: steps, test(_, limit, data) {
+		for (let i = 0, count = 0, last; i < data.events.length; i++) {
+			const ms = data.events[i].ms;
+			count = ms === undefined ? 0 : ms === last ? count + 1 : 1;
+			last = ms;
+			if (count >= limit.run) return last / TIC;
+		}
+		return null;
+	}},
+
+	// NoVariance: standard deviation under 200ms while averaging over 1s, need 4+ data points
+	{name: 'NoVariance', weight: 0.6, min: 4, limit: {spread: 200, average: 1000}, sample: times, test(ms, limit) {
+		const average = ms.reduce((x, y) => x + y) / ms.length;
+		const spread = Math.sqrt(ms.reduce((s, x) => s + (x - average) ** 2, 0) / ms.length);
+		return spread < limit.spread && average > limit.average ? (spread / TIC).toFixed(1) : null;
+	}},
+
+	// Arithmetic: constant interval increase/decrease, 4+ points
+	{name: 'Arithmetic', weight: 0.8, min: 4, limit: {}, sample: times, test(ms) {
+		const delta = ms[1] - ms[0];
+		return delta && ms.every((x, i) => !i || x - ms[i - 1] === delta) ? `${delta > 0 ? '+' : ''}${delta / TIC}` : null;
+	}},
+
+	// Geometric: constant multiplication ratio, 4+ points
+	{name: 'Geometric', weight: 0.8, min: 4, limit: {tolerance: 0.01}, sample: times, test(ms, limit) {
+		const ratio = ms[0] > 0 && ms[1] > 0 && ms[1] / ms[0];
+		return ratio && ratio !== 1 && ms.every((x, i) => !i || (ms[i - 1] > 0 && Math.abs(x / ms[i - 1] - ratio) < limit.tolerance)) ? `x${ratio.toFixed(1)}` : null;
+	}},
+
+	// PingPong: A-B-A-B page bounce, 3+ cycles (6 pages total)
+	{name: 'PingPong', weight: 0.6, min: 6, limit: {pages: 6}, sample: pages, test(_, limit, data) {
+		const events = data.events;
+		for (let i = 0, count = 0; i < events.length; i++) {
+			const page = events[i].type === 'page', prev = events[i - 1]?.type === 'page', back = events[i - 2];
+			count = !page ? 0 : !prev ? 1 : back?.type === 'page' && back.name === events[i].name ? count + 1 : 2;
+			if (count >= limit.pages) return `${events[i - count + 1].name}-${events[i - count + 2].name}`;
+		}
+		return null;
+	}},
+
+	// Surface: DOM depth ≤2 is 90%+, need 10+ clicks
+	{name: 'Surface', weight: 0.5, min: 10, limit: {depth: 2, ratio: 0.9}, sample: data => elements(data).filter(name => /^\d/.test(name)), test(names, limit) {
+		const shallow = names.filter(name => parseInt(name) <= limit.depth).length;
+		return shallow / names.length > limit.ratio ? `${shallow}/${names.length}` : null;
+	}},
+
+	// Monotonous: diversity < 15%, need 20+ clicks
+	{name: 'Monotonous', weight: 0.5, min: 20, limit: {diversity: 0.15}, sample: elements, test(names, limit) {
+		const unique = new Set(names).size;
+		return unique / names.length < limit.diversity ? `${unique}t` : null;
+	}}
+];
+
+// Add a rule, or replace the one with the same name
+// {name, weight, min, limit, sample(data), test(sample, limit, data)} where test returns a detail or null
+export function register(rule) {
+	if (!rule?.name || typeof rule.test !== 'function') throw new TypeError('Bot rule needs a name and a test()');
+	rule = {weight: 0.5, min: 1, limit: {}, sample: data => data.events, ...rule};
+	const i = RULES.findIndex(r => r.name === rule.name);
+	if (i < 0) RULES.push(rule);
+	else RULES[i] = rule;
+	return rule;
+}
+
+// Adjust weight, minimum sample size or thresholds of a registered rule (weight 0 disables it)
+export function tune(name, {weight, min, limit} = {}) {
+	const rule = RULES.find(r => r.name === name);
+	if (!rule) throw new Error(`Unknown bot rule: ${name}`);
+	if (weight !== undefined) rule.weight = weight;
+	if (min !== undefined) rule.min = min;
+	if (limit) rule.limit = {...rule.limit, ...limit};
+	return rule;
+}
+
+// Run every rule, return {score, hits: [{name, detail, weight}]} or null when none fired
+export function evaluate(data, rules = RULES) {
+	const hits = [];
+	for (const rule of rules) {
+		if (!(rule.weight > 0)) continue;
+		const sample = rule.sample(data);
+		if (sample.length < rule.min) continue;
+		const detail = rule.test(sample, rule.limit, data);
+		if (detail != null) hits.push({name: rule.name, detail, weight: Math.min(rule.weight, 1)});
+	}
+	if (!hits.length) return null;
+	return {score: +(1 - hits.reduce((p, h) => p * (1 - h.weight), 1)).toFixed(3), hits};
+}
+
+// MachineGun:10 Metronome:5, or MachineGun Metronome without details
+export function label(verdict, {detail = true} = {}) {
+	return verdict ? verdict.hits.map(h => detail ? `${h.name}:${h.detail}` : h.name).join(' ') : '';
+}
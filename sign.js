@@ -0,0 +1,81 @@
+/**
+ * Edge Runner - Score Signing
+ * Copyright (c) 2025 Aidgn
+ * AGPL-3.0-or-later - See LICENSE file for details
+ *
+ * Keyed MAC (HMAC-SHA256, Web Crypto) appended to the score cookie by the edge:
+ * score=field_time_hash___tabs.kid.iat.field.mac
+ *
+ * The MAC covers the signed field (security + personalization digits) and the session hash.
+ * The signed field travels along, so the client can still acknowledge personalization
+ * (1 -> 0 to repeat, 1 -> 2 for one time) without breaking the signature.
+ * Key rotation: the previous secret keeps verifying for a grace period after iat.
+ * A signature the edge can't check (unknown key id, previous secret past grace) counts as forged, not unsigned,
+ * otherwise swapping in a made-up kid would pass as a first visit.
+ */
+
+const KEYS = new Map(); // Imported HMAC keys per secret
+const encoder = new TextEncoder();
+let SUBTLE = globalThis.crypto?.subtle; // Node 18 has no global crypto, see subtle()
+
+// Web Crypto, from node:crypto where the runtime doesn't expose it globally
+async function subtle() {
+	return SUBTLE ||= (await import('node:crypto')).webcrypto.subtle;
+}
+
+// Hex HMAC-SHA256 truncated to 128 bits, also used by privacy.js to hash names
+export async function mac(secret, text) {
+	let key = KEYS.get(secret);
+	const web = await subtle();
+	if (!key) KEYS.set(secret, key = web.importKey('raw', encoder.encode(secret), {name: 'HMAC', hash: 'SHA-256'}, false, ['sign']));
+	const bytes = new Uint8Array(await web.sign('HMAC', await key, encoder.encode(text)));
+	return Array.from(bytes.slice(0, 16), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Key id, tells verify() which secret signed without revealing it
+async function kid(secret) {
+	return (await mac(secret, 'kid')).slice(0, 6);
+}
+
+// Constant-time string comparison
+function equal(a, b) {
+	if (a.length !== b.length) return false;
+	let diff = 0;
+	for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+	return diff === 0;
+}
+
+// The client may only acknowledge personalization: 1 -> 0 (repeat) or 1 -> 2 (one time)
+function follows(signed, field) {
+	if (signed.length !== field.length || signed[0] !== field[0]) return false;
+	for (let i = 1; i < field.length; i++)
+		if (field[i] !== signed[i] && !(signed[i] === '1' && (field[i] === '0' || field[i] === '2'))) return false;
+	return true;
+}
+
+// Split score=field_time_hash___tabs.kid.iat.field.mac into [field, time, hash, ___tabs] and the signature
+export function split(value) {
+	const dot = value.indexOf('.'), raw = dot < 0 ? value : value.slice(0, dot), sep = raw.indexOf('___');
+	const [field = '', time = '', hash = ''] = (sep < 0 ? raw : raw.slice(0, sep)).split('_'); // Always four entries, missing ones empty
+	return {score: [field, time, hash, sep < 0 ? '' : raw.slice(sep)], sig: dot < 0 ? '' : value.slice(dot + 1)};
+}
+
+// Signature for the current field and session hash, signed with the current secret
+export async function sign(field, hash, secret, now = Date.now()) {
+	const head = `${await kid(secret)}.${Math.floor(now / 1000)}.${field}`;
+	return `${head}.${await mac(secret, `${head}.${hash}`)}`;
+}
+
+// Check a signature against [current, previous] secrets
+// {status: 'valid' | 'unsigned' | 'forged', field: signed field when the MAC holds, stale: signed with the previous secret}
+export async function verify(field, hash, sig, secrets, grace, now = Date.now()) {
+	const [id, iat, signed, tag] = sig.split('.');
+	if (!tag) return {status: 'unsigned'};
+	for (let i = 0; i < secrets.length; i++) {
+		if (!secrets[i] || await kid(secrets[i]) !== id) continue;
+		if (i && now / 1000 - iat > grace) return {status: 'forged'}; // Previous secret past its grace period
+		if (!equal(await mac(secrets[i], `${id}.${iat}.${signed}.${hash}`), tag)) return {status: 'forged'};
+		return {status: follows(signed, field) ? 'valid' : 'forged', field: signed, stale: i > 0};
+	}
+	return {status: 'forged'}; // Unknown key id, made up or signed before the last two rotations
+}
@@ -0,0 +1,106 @@
+/**
+ * Edge Runner - Archive Sinks
+ * Copyright (c) 2025 Aidgn
+ * AGPL-3.0-or-later - See LICENSE file for details
+ *
+ * Where /rhythm/echo sends archived journeys. A sink is any object with write(record) returning a promise.
+ * Built-in: log (console), bucket (R2/S3-style object store), queue (producer), journeys (KV-like store for /rhythm/report),
+ * webhook (HTTP with retry).
+ * Several sinks can run at once, each one through ctx.waitUntil.
+ */
+
+// Console output, picked up by the platform's log push (the original behavior)
+export function log() {
+	return {
+		name: 'log',
+		async write(record) {
+			console.log(JSON.stringify(record));
+		}
+	};
+}
+
+// Object store binding with put(key, body, options), one NDJSON object per journey partitioned by date
+// archive/dt=2025-01-01/1735689600000-k3x9.ndjson
+export function bucket(binding, {prefix = 'archive'} = {}) {
+	return {
+		name: 'bucket',
+		async write(record) {
+			const now = new Date();
+			const key = `${prefix}/dt=${now.toISOString().slice(0, 10)}/${now.getTime()}-${Math.random().toString(36).slice(2, 6)}.ndjson`;
+			await binding.put(key, JSON.stringify(record) + '\n', {httpMetadata: {contentType: 'application/x-ndjson'}});
+		}
+	};
+}
+
+// Delete bucket partitions older than ttl seconds (retention), object stores have no per-object expiry
+// Needs list({prefix, cursor}) -> {objects: [{key}], truncated, cursor} and delete(keys) like R2
+// Keys list in date order, so listing stops at the first partition still inside retention
+export async function prune(binding, ttl, {prefix = 'archive'} = {}) {
+	const cutoff = new Date(Date.now() - ttl * 1000).toISOString().slice(0, 10);
+	let cursor, deleted = 0, done = false;
+	do {
+		const page = await binding.list({prefix: `${prefix}/dt=`, cursor});
+		const keys = page.objects.map(o => o.key), kept = keys.findIndex(key => key.slice(prefix.length + 4, prefix.length + 14) >= cutoff);
+		const old = kept < 0 ? keys : keys.slice(0, kept);
+		if (old.length) await binding.delete(old);
+		deleted += old.length;
+		done = kept >= 0;
+		cursor = page.truncated ? page.cursor : null;
+	} while (cursor && !done);
+	return deleted;
+}
+
+// Queue producer binding with send(message)
+export function queue(binding) {
+	return {
+		name: 'queue',
+		async write(record) {
+			await binding.send(record);
+		}
+	};
+}
+
+// KV-like binding (store.js) keyed by archive time, read back by /rhythm/report
+// journey:1735689600000:k3x9, expiring after ttl seconds when set (retention)
+// Records with a hash (ARCHIVING.HASH) also get an empty index key hash:x7n4kb2p:journey:1735689600000:k3x9 for forget
+export function journeys(binding, {ttl} = {}) {
+	return {
+		name: 'journeys',
+		async write(record) {
+			const key = `journey:${String(Date.now()).padStart(13, '0')}:${Math.random().toString(36).slice(2, 6)}`, options = ttl ? {expirationTtl: Math.max(60, ttl)} : undefined;
+			await binding.put(key, JSON.stringify(record), options);
+			if (record.hash) await binding.put(`hash:${record.hash}:${key}`, '', options);
+		}
+	};
+}
+
+// HTTP webhook, NDJSON POST retried with exponential backoff on network errors, 429 and 5xx
+export function webhook(url, {retries = 3, backoff = 500, headers = {}} = {}) {
+	return {
+		name: 'webhook',
+		async write(record) {
+			for (let attempt = 0; ; attempt++) {
+				const response = await fetch(url, {method: 'POST', headers: {'Content-Type': 'application/x-ndjson', ...headers}, body: JSON.stringify(record) + '\n'}).catch(error => ({ok: false, status: 0, error}));
+				if (response.ok) return;
+				const retry = response.status === 0 || response.status === 429 || response.status >= 500; // Other 4xx won't get better
+				if (!retry || attempt >= retries) throw response.error || new Error(`Webhook responded ${response.status} after ${attempt + 1} attempts`);
+				await new Promise(resolve => setTimeout(resolve, backoff * 2 ** attempt));
+			}
+		}
+	};
+}
+
+// Build sinks from names in ARCHIVING.SINKS, skipping the ones whose binding is missing
+// Objects with write() are passed through as custom sinks, retention: {journeys: seconds} (PRIVACY.RETENTION)
+export function open(names, env, {retention = {}} = {}) {
+	const list = [];
+	for (const name of names) {
+		if (typeof name?.write === 'function') list.push(name);
+		else if (name === 'log') list.push(log());
+		else if (name === 'bucket' && env.ARCHIVE_BUCKET) list.push(bucket(env.ARCHIVE_BUCKET));
+		else if (name === 'queue' && env.ARCHIVE_QUEUE) list.push(queue(env.ARCHIVE_QUEUE));
+		else if (name === 'journeys' && env.JOURNEYS) list.push(journeys(env.JOURNEYS, {ttl: retention.journeys}));
+		else if (name === 'webhook' && env.ARCHIVE_WEBHOOK) list.push(webhook(env.ARCHIVE_WEBHOOK, {headers: env.ARCHIVE_WEBHOOK_TOKEN ? {Authorization: `Bearer ${env.ARCHIVE_WEBHOOK_TOKEN}`} : {}}));
+	}
+	return list;
+}
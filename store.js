@@ -0,0 +1,61 @@
+/**
+ * Edge Runner - State Store
+ * Copyright (c) 2025 Aidgn
+ * AGPL-3.0-or-later - See LICENSE file for details
+ *
+ * Server-side state goes through a KV-like binding: get(key, type), put(key, text, {expirationTtl}), delete(key), list({prefix, cursor}).
+ * Workers KV fits as-is, memory() stands in for tests and local runs.
+ * kv() wraps either one into a JSON store: get(key) -> value | null, put(key, value, ttl), delete(key), list(prefix, max) -> keys
+ */
+
+// In-memory KV-like binding, expiry checked on read
+export function memory() {
+	const map = new Map();
+	return {
+		async get(key, type) {
+			const item = map.get(key);
+			if (!item) return null;
+			if (item.expires && item.expires <= Date.now()) {
+				map.delete(key);
+				return null;
+			}
+			return type === 'json' ? JSON.parse(item.value) : item.value;
+		},
+		async put(key, value, options = {}) {
+			map.set(key, {value: String(value), expires: options.expirationTtl ? Date.now() + options.expirationTtl * 1000 : 0});
+		},
+		async delete(key) {
+			map.delete(key);
+		},
+		async list({prefix = ''} = {}) {
+			const now = Date.now(), keys = [];
+			for (const [name, item] of map) if (name.startsWith(prefix) && !(item.expires && item.expires <= now)) keys.push({name});
+			return {keys: keys.sort((a, b) => a.name < b.name ? -1 : 1), list_complete: true};
+		}
+	};
+}
+
+// JSON store over a KV-like binding, ttl in seconds
+export function kv(binding) {
+	return {
+		async get(key) {
+			return binding.get(key, 'json');
+		},
+		async put(key, value, ttl) {
+			await binding.put(key, JSON.stringify(value), ttl ? {expirationTtl: Math.max(60, ttl)} : undefined); // KV minimum TTL is 60s
+		},
+		async delete(key) {
+			await binding.delete(key);
+		},
+		async list(prefix, max = Infinity) { // Stops paging once max keys are in, each page is a request
+			const names = [];
+			let cursor;
+			do {
+				const page = await binding.list({prefix, cursor});
+				for (const key of page.keys) names.push(key.name);
+				cursor = page.list_complete ? null : page.cursor;
+			} while (cursor && names.length < max);
+			return names.slice(0, max);
+		}
+	};
+}
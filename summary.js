@@ -0,0 +1,93 @@
+/**
+ * Edge Runner - Journey Summary
+ * Copyright (c) 2025 Aidgn
+ * AGPL-3.0-or-later - See LICENSE file for details
+ *
+ * Rule-based insight for archived journeys, no model involved.
+ * Walks the merged beat and writes the same fields as the AI prompts:
+ * {behavior, summary, issue, action}, summary starting with the behavior type.
+ *
+ * Facts taken from the beat:
+ * - Dwell per page: intervals spent on a page until the next page or tab switch
+ * - Bursts: the same element selected COUNT+ times in a row (~13/8/8*buy-1), rapid when every repeat is within MS
+ * - Tab gaps: the interval right after ___N, time spent away before returning
+ * - Abandonment: the journey ends on a page without selecting anything there
+ * Behavior type comes from the botPattern() verdict, then from the friction found above.
+ */
+
+export const LIMITS = {
+	burst: {count: 3, ms: 1000},	// Repeated selections that make a burst, rapid below ms between repeats
+	gap: 60000,						// Tab gap worth mentioning in ms
+	challenge: 0.5,					// Verdict score for Irregular behavior
+	block: 0.95						// Verdict score for Bot-like behavior
+};
+
+const sec = ms => +(ms / 1000).toFixed(1);
+const list = items => items.length < 2 ? items.join('') : `${items.slice(0, -1).join(', ')}${items.length > 2 ? ',' : ''} and ${items[items.length - 1]}`;
+
+// Facts of one journey: pages with dwell, bursts, tab gaps and how it ended
+// data: {events, tab: number of the first tab (default: 1)}
+export function facts(data, limits = LIMITS) {
+	const pages = [], bursts = [], gaps = [], open = {}; // open: current page per tab
+	let tab = data.tab ?? 1, page = null, run = [], away = false, ended = null;
+	for (const e of data.events) {
+		if (e.type === 'interval' || e.type === 'repeat') {
+			if (away && e.type === 'interval') gaps.push({ms: e.ms, page: page?.name});
+			else if (page) page.dwell += e.ms;
+			run = e.type === 'interval' ? [e.ms] : run.concat(e.ms);
+			away = false;
+		} else if (e.type === 'tab') {
+			page = open[tab = e.tab] || null;
+			run = [];
+			away = true;
+		} else {
+			const selected = run.length || 1;
+			if (e.type === 'page') pages.push(page = open[tab] = {name: e.name, dwell: 0, elements: 0});
+			else if (page) page.elements += selected;
+			if (e.type === 'element' && selected >= limits.burst.count)
+				bursts.push({name: e.name, page: page?.name, count: selected, times: run, rapid: run.slice(1).every(ms => ms <= limits.burst.ms)});
+			ended = e.type;
+			run = [];
+			away = false;
+		}
+	}
+	const last = pages[pages.length - 1];
+	return {pages, bursts, gaps: gaps.filter(g => g.ms >= limits.gap), tabs: Object.keys(open).length, abandoned: ended === 'page' && last ? last.name : null};
+}
+
+// {behavior, summary, issue, action} for one journey
+// data: {events, tab, duration (seconds)}, verdict: botPattern() result or null
+export function summarize(data, verdict, limits = LIMITS) {
+	const f = facts(data, limits);
+	const rapid = f.bursts.filter(b => b.rapid);
+	const score = verdict?.score || 0;
+	const behavior = score >= limits.block ? 'Bot-like' : score >= limits.challenge ? 'Irregular' : rapid.length || f.abandoned && f.bursts.length ? 'Confused' : 'Normal';
+
+	const summary = [`${behavior} behavior.`];
+	const names = [...new Set(f.pages.map(p => p.name))];
+	summary.push(`Visited ${f.pages.length} page${f.pages.length === 1 ? '' : 's'}${names.length ? ` (${list(names)})` : ''}${f.tabs > 1 ? ` across ${f.tabs} tabs` : ''}${data.duration ? ` in ${data.duration} seconds` : ''}.`);
+	const longest = f.pages.reduce((a, p) => !a || p.dwell > a.dwell ? p : a, null);
+	if (longest?.dwell) summary.push(`Stayed longest on ${longest.name} for about ${sec(longest.dwell)} seconds.`);
+	for (const b of f.bursts) summary.push(`Selected ${b.name} ${b.count} times at ${b.count > 5 ? `about ${sec(b.times.reduce((x, y) => x + y) / b.count)} second` : `${list(b.times.map(sec))} second`} intervals.`);
+	for (const g of f.gaps) summary.push(`Returned${g.page ? ` to ${g.page}` : ''} after ${sec(g.ms)} seconds away.`);
+	if (f.abandoned) summary.push(`Ended on ${f.abandoned} without further interaction.`);
+
+	let issue, action;
+	if (score >= limits.challenge) {
+		issue = `Rhythm matches bot rules ${verdict.hits.map(h => h.name).join(', ')} (score ${score}), which distorts engagement metrics.`;
+		action = 'Challenge or exclude this session from conversion and engagement reports.';
+	} else if (rapid.length) {
+		issue = `Rapid repeated selections on ${list(rapid.map(b => b.name))} suggest the control did not respond as expected.`;
+		action = `Check that ${rapid[0].name} responds immediately with visible feedback.`;
+	} else if (f.abandoned) {
+		issue = `Journey ended on ${f.abandoned} without a next step${f.bursts.length ? ' after repeated selections' : ''}.`;
+		action = `Review ${f.abandoned} for blockers and make the next step clear.`;
+	} else if (f.gaps.length) {
+		issue = `Long absence of ${sec(Math.max(...f.gaps.map(g => g.ms)))} seconds interrupted the journey.`;
+		action = 'Help returning users resume where they left off.';
+	} else {
+		issue = 'No clear conversion inhibitor in the rhythm.';
+		action = 'No change needed, keep monitoring this path.';
+	}
+	return {behavior, summary: summary.join(' '), issue, action};
+}
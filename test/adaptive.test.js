@@ -0,0 +1,67 @@
+/**
+ * Edge Runner - Adaptive Baseline Tests
+ * Copyright (c) 2025 Aidgn
+ * AGPL-3.0-or-later - See LICENSE file for details
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { gather, learn, tuned } from '../adaptive.js';
+import { RULES, evaluate, label } from '../rules.js';
+import { parse } from '../beat.js';
+
+// Varied human journeys: two pages, six clicks at 1~5.5s
+const human = i => {
+	let beat = '!home';
+	for (let j = 0; j < 6; j++) beat += ` ~${(1 + ((i * 7 + j * 3) % 10) / 2).toFixed(1)} *${3 + (i + j) % 3}-item${(i + j) % 9}`;
+	return {beat: beat + ' !cart ~2.0', device: 1};
+};
+const SNAPSHOT = learn(gather(Array.from({length: 40}, (_, i) => human(i))), {min: 20, tail: 0.05, now: 1735689600000});
+
+test('learn() places two-sided bounds per feature, journeys without a site in the * groups', () => {
+	assert.deepEqual(Object.keys(SNAPSHOT.groups), ['*:*', '*:1']);
+	const {bounds} = SNAPSHOT.groups['*:1'];
+	assert.deepEqual(bounds.pace, [2500, 3500]);
+	assert.deepEqual(bounds.pages, [2, 2]);
+	assert.ok(bounds.spread[0] < bounds.spread[1]);
+});
+
+test('tuned() adds Deviation, firing on outliers at either end', () => {
+	const rules = tuned(SNAPSHOT, 'shop.example', 1);
+	assert.equal(rules.at(-1).name, 'Deviation');
+	assert.equal(label(evaluate(parse('!home ~0.3 *3-a ~0.3 *3-a ~0.4 *3-a ~0.3 *3-a ~0.3 *3-a ~0.3 *3-a'), rules)), 'Deviation:pace-/pages-');
+	assert.equal(label(evaluate(parse('!a ~30.0 *3-a !b ~40.0 *4-b !c ~35.0 *5-c !d ~50.0 *3-d !e ~45.0 !f ~33.0'), rules)), 'Deviation:pace+/spread+/pages+');
+	assert.equal(evaluate(parse(human(3).beat), rules), null);
+	assert.equal(tuned(SNAPSHOT, 'shop.example', 1, {deviation: 0}).length, RULES.length);
+});
+
+test('tuned() leaves pages, pace and spread out for sessions still in progress', () => {
+	assert.equal(tuned(SNAPSHOT, 'shop.example', 1, {partial: true}).length, RULES.length); // Only ratio bounds count, none learned here
+	const snapshot = {groups: {'*:*': {limits: {}, bounds: {pages: [2, 2], pace: [2500, 3500], shallow: [0, 0.5], diversity: [0.3, 1]}}}};
+	const rules = tuned(snapshot, 'shop.example', 1, {partial: true});
+	assert.deepEqual(Object.keys(rules.at(-1).limit.bounds), ['shallow', 'diversity']);
+	assert.equal(evaluate(parse('!home ~12 *3-a ~60 *4-b ~25 *3-c ~31 *5-d'), rules), null); // One page, four slow clicks
+});
+
+test('gather() pools sessions across runs, keeping the newest per group', () => {
+	const first = gather([human(1), human(2), {beat: '~~~ bad'}], null, {keep: 3});
+	assert.deepEqual([first.sessions, first.skipped, first.groups['*:1'].length], [2, 1, 2]);
+	const second = gather([human(3), human(4)], first, {keep: 3});
+	assert.deepEqual([second.sessions, second.groups['*:1'].length, second.groups['*:*'].length], [4, 3, 3]);
+	assert.equal(first.groups['*:1'].length, 2); // Earlier pool left as it was
+	assert.equal(learn(second, {min: 3}).sessions, 4);
+	assert.deepEqual(Object.keys(learn(second, {min: 4}).groups), []);
+});
+
+test('tuned() holds learned thresholds within each rule\'s range, both ways', () => {
+	const group = limits => ({groups: {'*:*': {limits, bounds: {}}}});
+	const limit = (rules, name) => rules.find(r => r.name === name).limit;
+	let rules = tuned(group({NoVariance: {spread: 5000}, Monotonous: {diversity: 0.001}, Surface: {ratio: 0.5}}));
+	assert.equal(limit(rules, 'NoVariance').spread, 400);
+	assert.equal(limit(rules, 'Monotonous').diversity, 0.05);
+	assert.equal(limit(rules, 'Surface').ratio, 0.8);
+	rules = tuned(group({NoVariance: {spread: 120}}));
+	assert.equal(limit(rules, 'NoVariance').spread, 120);
+	assert.equal(rules.length, RULES.length); // No bounds, no Deviation
+	assert.equal(tuned(null, 'shop.example', 1), RULES);
+});
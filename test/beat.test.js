@@ -0,0 +1,77 @@
+/**
+ * Edge Runner - BEAT Parser Tests
+ * Copyright (c) 2025 Aidgn
+ * AGPL-3.0-or-later - See LICENSE file for details
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as beat from '../beat.js';
+
+const { EX_DEFAULT, EX_SPACE, EX_EVENTS, parse, parseBeat, serialize, serializeRhythm, rhythms, configure } = beat;
+
+test('EX_DEFAULT round-trips through parseBeat and serialize', () => {
+	const events = parseBeat(EX_DEFAULT);
+	assert.deepEqual(events, EX_EVENTS);
+	assert.equal(serialize(events, {seconds: true}), EX_DEFAULT);
+});
+
+test('EX_SPACE is EX_DEFAULT in spaced form and parses to the same events', () => {
+	assert.equal(EX_SPACE.replace(/ /g, ''), EX_DEFAULT);
+	assert.deepEqual(parseBeat(EX_SPACE), EX_EVENTS);
+	assert.equal(serialize(parseBeat(EX_SPACE), {space: true, seconds: true}), EX_SPACE);
+});
+
+test('decimal intervals are seconds, integer intervals are ticks', () => {
+	assert.deepEqual(parseBeat('!home~23.7*nav-2'), [{type: 'page', name: 'home'}, {type: 'interval', ms: 23700}, {type: 'element', name: 'nav-2'}]);
+	assert.deepEqual(parseBeat('!home~237/8*nav-2'), [{type: 'page', name: 'home'}, {type: 'interval', ms: 23700}, {type: 'repeat', ms: 800}, {type: 'element', name: 'nav-2'}]);
+	assert.equal(serialize(parseBeat('!home~237/8*nav-2')), '!home~237/8*nav-2');
+});
+
+test('tab switches stay attached to their names', () => {
+	const events = parseBeat('*p1___2!p1~13*nav-1___1');
+	assert.deepEqual(events.map(e => e.type), ['element', 'tab', 'page', 'interval', 'element', 'tab']);
+	assert.equal(serialize(events), '*p1___2!p1~13*nav-1___1');
+});
+
+test('parse reads the rhythm header and serializeRhythm writes it back', () => {
+	const value = '0_1735680000_x7n4kb2p_1_5_56_15_18804_!home~237*nav-2';
+	const data = parse(value);
+	assert.equal(data.hash, 'x7n4kb2p');
+	assert.equal(data.device, 1);
+	assert.equal(data.duration, 18804);
+	assert.equal(serializeRhythm(data), value);
+	assert.throws(() => parse('0_1_x_a_b_!home'), SyntaxError);
+	assert.equal(parse('!home~237').beat, '!home~237'); // Bare beat, e.g. from an archived journey
+	assert.throws(() => parse('!home~237', {header: true}), SyntaxError);
+	assert.throws(() => parseBeat('!home~x'), SyntaxError);
+});
+
+test('rhythms collects rhythm_N pairs from cookies and echo bodies', () => {
+	const list = rhythms('score=0000000000__x; rhythm_1=0___1_0_0_0_0_!home; rhythm_x=1rhythm_2=0___1_0_0_0_0_!cart');
+	assert.deepEqual(list.map(r => [r.number, r.value]), [[1, '0___1_0_0_0_0_!home'], [NaN, '1'], [2, '0___1_0_0_0_0_!cart']]);
+});
+
+test('configure switches TIC and TOK at runtime', () => {
+	const {TIC, TOK} = beat;
+	try {
+		configure({tic: 50, tok: {P: '#', E: '@', T: '^', A: '|', L: '-'}});
+		assert.equal(beat.TIC, 50);
+		assert.equal(beat.TOK.P, '#');
+		const events = parseBeat('#home^10|4@nav-2');
+		assert.deepEqual(events, [{type: 'page', name: 'home'}, {type: 'interval', ms: 500}, {type: 'repeat', ms: 200}, {type: 'element', name: 'nav-2'}]);
+		assert.equal(serialize(events), '#home^10|4@nav-2');
+		assert.equal(serialize(EX_EVENTS, {seconds: true}).replace(/[#@^|]/g, m => ({'#': '!', '@': '*', '^': '~', '|': '/'})[m]), EX_DEFAULT);
+		assert.throws(() => parseBeat(EX_DEFAULT), SyntaxError); // Old symbols no longer parse
+	} finally {
+		configure({tic: TIC, tok: TOK});
+	}
+	assert.equal(beat.TIC, 100);
+	assert.deepEqual(parseBeat(EX_DEFAULT), EX_EVENTS);
+});
+
+test('configure keeps the TOK object when no symbol changed', () => {
+	const before = beat.TOK;
+	configure({tok: {...before}});
+	assert.equal(beat.TOK, before);
+});
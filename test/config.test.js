@@ -0,0 +1,71 @@
+/**
+ * Edge Runner - Runtime Config Tests
+ * Copyright (c) 2025 Aidgn
+ * AGPL-3.0-or-later - See LICENSE file for details
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolve, mismatch } from '../config.js';
+import { setup } from '../edgerunner.js';
+
+const DEFAULTS = setup({}).config;
+
+test('resolve() reads variables into the schema types, later sources winning', () => {
+	const before = JSON.stringify(DEFAULTS);
+	const {config, sources, errors} = resolve(DEFAULTS, {
+		EDGERUNNER: JSON.stringify({STREAMING: {BOT: false, CHALLENGE: 0.4}, ARCHIVING: {MAX: 1024}}),
+		STREAMING_CHALLENGE: ' 0.5 ',
+		ARCHIVING_SINKS: 'log, journeys',
+		ARCHIVING_FUNNEL: '["!prod", "*buy-1"]',
+		PRIVACY_REDACT: '1',
+		PRIVACY_RETENTION: '{"journeys": 2592000}',
+		BEAT_TOK: '#*~/-',
+		PATH: '/usr/bin'
+	});
+	assert.deepEqual(errors, []);
+	assert.equal(config.STREAMING.BOT, false);
+	assert.equal(config.STREAMING.CHALLENGE, 0.5);
+	assert.equal(config.ARCHIVING.MAX, 1024);
+	assert.deepEqual(config.ARCHIVING.SINKS, ['log', 'journeys']);
+	assert.deepEqual(config.ARCHIVING.FUNNEL, ['!prod', '*buy-1']);
+	assert.equal(config.PRIVACY.REDACT, true);
+	assert.deepEqual(config.PRIVACY.RETENTION, {journeys: 2592000});
+	assert.deepEqual(config.BEAT.TOK, {P: '#', E: '*', T: '~', A: '/', L: '-'});
+	assert.deepEqual(sources, {'STREAMING.BOT': 'EDGERUNNER', 'STREAMING.CHALLENGE': 'STREAMING_CHALLENGE', 'ARCHIVING.MAX': 'EDGERUNNER', 'ARCHIVING.SINKS': 'ARCHIVING_SINKS', 'ARCHIVING.FUNNEL': 'ARCHIVING_FUNNEL', 'PRIVACY.REDACT': 'PRIVACY_REDACT', 'PRIVACY.RETENTION': 'PRIVACY_RETENTION', 'BEAT.TOK': 'BEAT_TOK'});
+	assert.equal(JSON.stringify(DEFAULTS), before); // Defaults left as they were
+});
+
+test('resolve() collects every problem at once, naming where it came from', () => {
+	const {errors} = resolve(DEFAULTS, {
+		EDGERUNNER: '{"STREAMING": ',
+		STREAMING_CHALLENGE: 'high',
+		STREAMING_NOPE: 'true',
+		ARCHIVING_SINKS: 'log,ftp',
+		ADAPTIVE_LIMIT: '900',
+		PRIVACY_RETENTION: '{journeys}',
+		PRIVACY_SCRUB: '["("]',
+		BEAT_TOK: '!!~/-'
+	});
+	assert.equal(errors.length, 8);
+	assert.match(errors[0], /^EDGERUNNER is not valid JSON/);
+	assert.ok(errors.includes('Unknown setting STREAMING.NOPE (STREAMING_NOPE)'));
+	assert.ok(errors.some(e => e.startsWith('PRIVACY_RETENTION could not be read')));
+	assert.ok(errors.includes('STREAMING.CHALLENGE must be a number, got "high" (STREAMING_CHALLENGE)'));
+	assert.ok(errors.includes('ARCHIVING.SINKS has unknown entry ftp (log, bucket, queue, journeys, webhook) (ARCHIVING_SINKS)'));
+	assert.ok(errors.includes('ADAPTIVE.LIMIT must be 1~500, got 900 (ADAPTIVE_LIMIT)'));
+	assert.ok(errors.some(e => e.startsWith('PRIVACY.SCRUB has an invalid entry "("')));
+	assert.ok(errors.includes('BEAT.TOK symbols must be distinct, got ! ! ~ / - (BEAT_TOK)'));
+});
+
+test('resolve() checks relations between settings once every value passed', () => {
+	assert.deepEqual(resolve(DEFAULTS, {STREAMING_CHALLENGE: '0.9', STREAMING_BLOCK: '0.8'}).errors, ['STREAMING.CHALLENGE (0.9) must not exceed STREAMING.BLOCK (0.8)']);
+	assert.deepEqual(resolve(DEFAULTS, {STREAMING_CHALLENGE: '0.9', STREAMING_BLOCK: '2'}).errors, ['STREAMING.BLOCK must be 0~1, got 2 (STREAMING_BLOCK)']);
+	assert.match(resolve(DEFAULTS, {ARCHIVING_TYPE: String(DEFAULTS.ARCHIVING.SITE.length + 1)}).errors[0], /^ARCHIVING\.TYPE must be 1~/);
+});
+
+test('mismatch() names the client BEAT settings the edge does not share', () => {
+	const {TIC, TOK} = DEFAULTS.BEAT;
+	assert.equal(mismatch(new URLSearchParams(`tic=${TIC}&tok=!*~/-`), {TIC, TOK}), null);
+	assert.equal(mismatch(new URLSearchParams('tic=50&tok=#*~/-'), {TIC, TOK}), `Client BEAT does not match the edge: tic 50 (edge ${TIC}), tok #*~/- (edge !*~/-)`);
+});
@@ -0,0 +1,70 @@
+/**
+ * Edge Runner - Live Feed Tests
+ * Copyright (c) 2025 Aidgn
+ * AGPL-3.0-or-later - See LICENSE file for details
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { hub, tracker, stream } from '../live.js';
+import runner from '../edgerunner.js';
+
+const decoder = new TextDecoder();
+
+test('hub() fans out to subscribers and survives a throwing one', t => {
+	t.mock.method(console, 'error', () => {});
+	const feed = hub(), seen = [];
+	assert.equal(feed.subscribers, 0);
+	const off = feed.subscribe(event => seen.push(event.type));
+	feed.subscribe(() => { throw new Error('broken dashboard'); });
+	assert.equal(feed.subscribers, 2);
+	feed.publish({type: 'bot'});
+	off();
+	feed.publish({type: 'level'});
+	assert.deepEqual(seen, ['bot']);
+	assert.equal(feed.subscribers, 1);
+});
+
+test('tracker() returns only new events per hash and rhythm_N, and starts over on an emptied cookie', () => {
+	const seen = tracker();
+	assert.deepEqual(seen.advance('h1', 1, ['a', 'b']), {fresh: true, events: ['a', 'b']});
+	assert.deepEqual(seen.advance('h1', 1, ['a', 'b', 'c']), {fresh: false, events: ['c']});
+	assert.deepEqual(seen.advance('h1', 2, ['x']), {fresh: false, events: ['x']});
+	assert.deepEqual(seen.advance('h1', 1, ['d']), {fresh: false, events: ['d']}); // Echo emptied rhythm_1
+});
+
+test('tracker() forgets the oldest session past its limit', () => {
+	const seen = tracker(2);
+	seen.advance('h1', 1, ['a']);
+	seen.advance('h2', 1, ['a']);
+	seen.advance('h3', 1, ['a']);
+	assert.equal(seen.advance('h1', 1, ['a']).fresh, true);
+	assert.equal(seen.advance('h3', 1, ['a']).fresh, false);
+});
+
+test('stream() sends filtered events as SSE and unsubscribes on abort', async () => {
+	const feed = hub(), abort = new AbortController();
+	const reader = stream(feed, {hash: 's-1', types: ['bot', 'level'], signal: abort.signal, note: 'this instance only'}).getReader();
+	assert.equal(decoder.decode((await reader.read()).value), ': connected\n\n');
+	assert.equal(decoder.decode((await reader.read()).value), ': this instance only\n\n');
+	feed.publish({type: 'bot', hash: 's-2', rule: 'MachineGun:12'});
+	feed.publish({type: 'beat', hash: 's-1', beat: '!home'});
+	feed.publish({type: 'level', hash: 's-1', from: 0, to: 1});
+	assert.equal(decoder.decode((await reader.read()).value), 'id: 1\nevent: level\ndata: {"type":"level","hash":"s-1","from":0,"to":1}\n\n');
+	assert.equal(feed.subscribers, 1);
+	abort.abort();
+	assert.equal(feed.subscribers, 0);
+	assert.equal((await reader.read()).done, true);
+});
+
+test('/rhythm/live needs a shared hub and publishes rule names only with PRIVACY.REDACT', async () => {
+	const ctx = {waitUntil() {}}, auth = {Authorization: 'Bearer live'};
+	const response = await runner.fetch(new Request('https://example.com/rhythm/live', {headers: auth}), {LIVE_TOKEN: 'live'}, ctx);
+	assert.equal(response.status, 501);
+	const feed = hub(), seen = [], env = {LIVE_TOKEN: 'live', LIVE: feed, PRIVACY_REDACT: 'true'};
+	feed.subscribe(event => seen.push(event));
+	const pong = '!home!cart'.repeat(3);
+	await runner.fetch(new Request('https://example.com/rhythm/?livestreaming', {method: 'HEAD', headers: {Cookie: `rhythm_1=0_1_abc_1_0_0_0_500_${pong}`}}), env, ctx);
+	assert.deepEqual(seen.filter(e => e.type === 'bot').map(e => e.rule), ['PingPong']);
+	assert.ok(!JSON.stringify(seen).includes('home-cart'));
+});
@@ -0,0 +1,56 @@
+/**
+ * Edge Runner - Privacy Tests
+ * Copyright (c) 2025 Aidgn
+ * AGPL-3.0-or-later - See LICENSE file for details
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { policy } from '../privacy.js';
+import { resolve } from '../config.js';
+import { setup } from '../edgerunner.js';
+import { prune } from '../sinks.js';
+
+const SETTINGS = {REDACT: true, ALLOW: [], DENY: [], SCRUB: [], HASH: true, COARSEN: 0};
+const EVENTS = [{type: 'page', name: 'home'}, {type: 'interval', ms: 1234}, {type: 'element', name: 'buy-123456'}, {type: 'page', name: 'account'}];
+
+// Names in the order of EVENTS after redaction
+async function names(settings, key) {
+	return (await policy({...SETTINGS, ...settings}, key)(EVENTS)).filter(e => e.name).map(e => e.name);
+}
+
+test('policy() denies, scrubs, keeps allowed names and hashes the rest', async () => {
+	assert.deepEqual(await names({}), ['home', 'buy-123456', 'account']);
+	assert.deepEqual(await names({DENY: ['!account'], SCRUB: ['\\d{5,}']}), ['home', 'buy-[x]', '[redacted]']);
+	assert.deepEqual(await names({ALLOW: ['!home', '*buy-*']}), ['home', 'buy-123456', '[redacted]']);
+	const [, , hashed] = await names({ALLOW: ['!home']}, 'secret');
+	assert.match(hashed, /^h-[0-9a-f]{8}$/);
+	assert.equal((await names({ALLOW: ['!home']}, 'secret'))[2], hashed);
+	assert.deepEqual(await names({ALLOW: ['!home'], HASH: false}, 'secret'), ['home', '[redacted]', '[redacted]']);
+});
+
+test('policy() coarsens intervals and does nothing with REDACT off', async () => {
+	assert.deepEqual((await policy({...SETTINGS, COARSEN: 1000})(EVENTS))[1], {type: 'interval', ms: 1000});
+	assert.equal(await policy({...SETTINGS, REDACT: false, DENY: ['!home']})(EVENTS), EVENTS);
+});
+
+test('ALLOW and DENY are read in the Token the config applies', async () => {
+	const defaults = setup({}).config, env = {BEAT_TOK: '#*~/-', PRIVACY_DENY: '["#home"]', PRIVACY_REDACT: 'true'};
+	const {config, errors} = resolve(defaults, env);
+	assert.deepEqual(errors, []);
+	assert.deepEqual((await policy(config.PRIVACY, null, config.BEAT.TOK)(EVENTS))[0], {type: 'page', name: '[redacted]'});
+	assert.match(resolve(defaults, {...env, PRIVACY_DENY: '["!home"]'}).errors.join(), /PRIVACY\.DENY/);
+});
+
+test('prune() deletes expired partitions and stops listing at the first one kept', async t => {
+	const day = 86400000, now = Date.UTC(2025, 0, 10);
+	t.mock.method(Date, 'now', () => now);
+	const keys = [1, 2, 5, 9, 10].map(d => `archive/dt=2025-01-${String(d).padStart(2, '0')}/x.ndjson`), lists = [], deleted = [];
+	const binding = {
+		async list({cursor = 0}) { lists.push(cursor); return {objects: keys.slice(cursor, cursor + 2).map(key => ({key})), truncated: cursor + 2 < keys.length, cursor: cursor + 2}; },
+		async delete(old) { deleted.push(...old); }
+	};
+	assert.equal(await prune(binding, 7 * day / 1000), 2);
+	assert.deepEqual(deleted, keys.slice(0, 2));
+	assert.deepEqual(lists, [0, 2]);
+});
@@ -0,0 +1,68 @@
+/**
+ * Edge Runner - Reassembly Tests
+ * Copyright (c) 2025 Aidgn
+ * AGPL-3.0-or-later - See LICENSE file for details
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import runner, { stitch } from '../edgerunner.js';
+import { memory, kv } from '../store.js';
+import { sign } from '../sign.js';
+
+// Journeys the 'log' sink printed while fn ran
+async function archived(t, fn) {
+	const beats = [];
+	t.mock.method(console, 'log', line => typeof line === 'string' && line.startsWith('{') && beats.push(JSON.parse(line).beat));
+	t.mock.method(console, 'error', () => {});
+	await fn();
+	return beats;
+}
+
+// waitUntil that remembers its work, settle() awaits it all
+function context() {
+	const pending = [];
+	return {waitUntil: promise => pending.push(promise), settle: async () => { while (pending.length) await Promise.all(pending.splice(0)); }};
+}
+
+const ENV = () => ({FRAGMENTS: memory(), SCORE_KEY: 'secret', ARCHIVING_REASSEMBLE: 'true'});
+
+test('stitch() orders batches by session time and continues each tab', () => {
+	const {map, dropped} = stitch([
+		{key: 'frag:h:2', duration: 90, dropped: 1, fragments: [{number: 1, value: '0_1_h_1_0_0_1_90_~4*b'}, {number: 2, value: 'bad'}]},
+		{key: 'frag:h:1', duration: 50, dropped: 0, fragments: [{number: 1, value: '0_1_h_1_0_2_1_50_!home~5*a'}]}
+	]);
+	assert.equal(dropped, 2);
+	assert.deepEqual(Object.keys(map), ['1']);
+	assert.deepEqual(map[1].events.map(e => e.name ?? e.ms), ['home', 500, 'a', 400, 'b']);
+	assert.deepEqual([map[1].scrolls, map[1].clicks, map[1].duration], [2, 2, 90]);
+});
+
+test('?final archives the buffered batches of a signed session as one journey', async t => {
+	const env = ENV(), ctx = context(), cookie = `score=0000000000__h1.${await sign('0000000000', 'h1', 'secret')}`;
+	const post = (body, query = '') => runner.fetch(new Request(`https://example.com/rhythm/echo${query}`, {method: 'POST', body, headers: {Cookie: cookie}}), env, ctx);
+	const beats = await archived(t, async () => {
+		await post('rhythm_1=0_1_h1_1_0_0_1_50_!home~5*a');
+		assert.equal((await env.FRAGMENTS.list({prefix: 'frag:'})).keys.length, 1);
+		await post('rhythm_1=0_1_h1_1_0_0_1_90_!cart~7*pay', '?final');
+		await ctx.settle();
+	});
+	assert.deepEqual(beats, ['!home ~0.5 *a !cart ~0.7 *pay']);
+	assert.deepEqual((await env.FRAGMENTS.list({prefix: 'frag:'})).keys, []);
+});
+
+test('the sweep archives at most 20 idle sessions per run, oldest first', async t => {
+	const env = ENV(), store = kv(env.FRAGMENTS), now = 1735689600000;
+	for (let i = 0; i < 22; i++) {
+		const at = String(now - (30 + i) * 60000).padStart(13, '0'); // h0 is the newest, h21 the oldest
+		await store.put(`frag:h${i}:${at}:abcd`, {duration: 10, dropped: 0, fragments: [{number: 1, value: `0_1_h${i}_1_0_0_0_10_!p${i}`}]});
+	}
+	t.mock.method(Date, 'now', () => now);
+	const beats = await archived(t, async () => {
+		const ctx = context();
+		await runner.scheduled({scheduledTime: now, cron: ''}, env, ctx);
+		await ctx.settle();
+	});
+	assert.equal(beats.length, 20);
+	assert.deepEqual((await env.FRAGMENTS.list({prefix: 'frag:'})).keys.map(k => k.name.split(':')[1]).sort(), ['h0', 'h1']);
+});
@@ -0,0 +1,85 @@
+/**
+ * Edge Runner - Journey Report Tests
+ * Copyright (c) 2025 Aidgn
+ * AGPL-3.0-or-later - See LICENSE file for details
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { load, aggregate } from '../report.js';
+import { memory, kv } from '../store.js';
+
+const RECORDS = [
+	{beat: '!home ~2.0 *nav-1 !prod ~10.0 *buy-1 !cart ~4.0', device: 1},
+	{beat: '!home ~6.0 !prod ~40.0', device: 1},
+	{beat: '!home ~1.0 *nav-1 !blog ~2', device: 0},
+	{beat: '~~~ bad'}
+];
+
+// journey:<13-digit ms>:<rand> keys like the 'journeys' sink writes
+async function stored(times) {
+	const store = kv(memory());
+	for (const at of times) await store.put(`journey:${String(at).padStart(13, '0')}:abcd`, {beat: '!home ~1.0', at});
+	return store;
+}
+
+test('aggregate() counts paths, transitions and the funnel in order, skipping unreadable beats', () => {
+	const report = aggregate(RECORDS, {funnel: ['!prod', '*buy-1', '!cart']});
+	assert.equal(report.sessions, 3);
+	assert.equal(report.skipped, 1);
+	assert.deepEqual(report.paths.map(p => p.path).sort(), ['home → blog', 'home → prod', 'home → prod → cart']);
+	assert.deepEqual(report.transitions.home, {prod: 2, blog: 1});
+	assert.deepEqual(report.transitions.prod, {cart: 1, '(exit)': 1});
+	assert.deepEqual(report.funnel.map(s => [s.step, s.reached, s.dropped, s.rate]), [['!prod', 2, 1, 0.667], ['*buy-1', 1, 1, 0.333], ['!cart', 1, 0, 0.333]]);
+});
+
+test('aggregate() reports dwell in seconds with a histogram, integer intervals as ticks', () => {
+	const {dwell} = aggregate(RECORDS);
+	assert.deepEqual({...dwell.home, histogram: undefined}, {visits: 3, mean: 3, p50: 2, p90: 6, max: 6, histogram: undefined});
+	assert.equal(dwell.home.histogram['<5s'], 2);
+	assert.equal(dwell.home.histogram['<15s'], 1);
+	assert.equal(dwell.blog.max, 0.2);
+});
+
+test('aggregate() finds rage spots and leaves out entries seen in fewer than k sessions', () => {
+	const report = aggregate([{beat: '!prod ~13/2/2*buy-1 !cart ~5'}, {beat: '!prod ~9/3/3*buy-1'}], {k: 2});
+	assert.deepEqual(report.rage, [{page: 'prod', element: 'buy-1', bursts: 2, max: 3}]);
+	assert.deepEqual(report.paths, []);
+	assert.deepEqual(Object.keys(report.dwell), ['prod']);
+	assert.equal(report.sessions, 2);
+});
+
+test('aggregate() keeps one device only', () => {
+	const report = aggregate(RECORDS, {device: 1, k: 2});
+	assert.equal(report.sessions, 2);
+	assert.deepEqual(report.transitions, {home: {prod: 2}});
+});
+
+test('load() reads the newest limit journeys in the window, oldest first', async () => {
+	const day = 86400000, now = 1735689600000;
+	const store = await stored([now - 3 * day, now - 2 * day, now - day, now]);
+	const all = await load(store, {from: now - 5 * day, to: now});
+	assert.deepEqual(all.records.map(r => r.at), [now - 3 * day, now - 2 * day, now - day, now]);
+	assert.equal(all.truncated, false);
+	const newest = await load(store, {from: now - 5 * day, to: now, limit: 2});
+	assert.deepEqual(newest.records.map(r => r.at), [now - day, now]);
+	assert.equal(newest.truncated, true);
+	const window = await load(store, {from: now - 2 * day, to: now - day});
+	assert.deepEqual(window.records.map(r => r.at), [now - 2 * day, now - day]);
+});
+
+test('load() stops listing after its request budget and says so', async () => {
+	const now = 1735689600000, year = 365 * 86400000;
+	const store = await stored([now - year, now]);
+	const {records, truncated} = await load(store, {from: now - 2 * year, to: now});
+	assert.deepEqual(records.map(r => r.at), [now]);
+	assert.equal(truncated, true);
+});
+
+test('load() gives the newest journeys of a bucket longer than its list budget', async () => {
+	const start = 17356e8, times = Array.from({length: 31000}, (_, i) => start + i * 1000);
+	const store = await stored(times);
+	const {records, truncated} = await load(store, {from: start, to: times.at(-1), limit: 3});
+	assert.deepEqual(records.map(r => r.at), times.slice(-3));
+	assert.equal(truncated, true);
+});
@@ -0,0 +1,70 @@
+/**
+ * Edge Runner - Bot Rules Tests
+ * Copyright (c) 2025 Aidgn
+ * AGPL-3.0-or-later - See LICENSE file for details
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RULES, evaluate, label, register, tune } from '../rules.js';
+import { parse } from '../beat.js';
+import runner, { scan } from '../edgerunner.js';
+
+const GUN = '!home' + ' ~1 *a'.repeat(12), CLICKS = GUN.replace(/ /g, ''); // 12 clicks 100ms apart, as a beat and as a cookie
+
+// Score cookie a livestreaming HEAD sets in reply, without the signature
+async function reply(cookies, env = {}) {
+	const response = await runner.fetch(new Request('https://example.com/rhythm/?livestreaming', {method: 'HEAD', headers: {Cookie: cookies}}), env, {waitUntil() {}});
+	return response.headers.get('Set-Cookie')?.split(';')[0].split('.')[0];
+}
+
+test('evaluate() combines the weights of every rule that fired', () => {
+	assert.deepEqual(evaluate(parse(GUN)), {score: 0.9, hits: [{name: 'MachineGun', detail: 10, weight: 0.9}]});
+	assert.equal(label(evaluate(parse('!home ~10.0 *a ~12.0 *b ~14.0 *c ~16.0 *d'))), 'Arithmetic:+20');
+	assert.equal(evaluate(parse('!home ~2.0 *a ~5.5 *b ~1.2 *c ~3.1 *d')), null);
+	const both = evaluate(parse(GUN), [...RULES, {name: 'Always', weight: 0.5, min: 0, limit: {}, sample: data => data.events, test: () => 'x'}]);
+	assert.equal(both.score, 0.95); // 1 - (1 - 0.9)(1 - 0.5)
+	assert.equal(label(both), 'MachineGun:10 Always:x');
+	assert.equal(label(both, {detail: false}), 'MachineGun Always');
+});
+
+test('evaluate() skips rules below their sample size or weighted 0', () => {
+	assert.equal(evaluate(parse('!home' + ' ~1 *a'.repeat(9))), null);
+	assert.equal(evaluate(parse(GUN), RULES.map(r => r.name === 'MachineGun' ? {...r, weight: 0} : r)), null);
+});
+
+test('register() adds or replaces a rule and tune() adjusts one in place', t => {
+	const saved = RULES.slice(), gun = {...RULES.find(r => r.name === 'MachineGun')};
+	t.after(() => {
+		RULES.splice(0, RULES.length, ...saved);
+		Object.assign(RULES.find(r => r.name === 'MachineGun'), gun);
+	});
+	assert.throws(() => register({name: 'NoTest'}), TypeError);
+	register({name: 'Home', weight: 0.3, test: (events, limit, data) => data.events[0]?.name === 'home' ? 'home' : null});
+	assert.equal(RULES.at(-1).min, 1);
+	assert.equal(evaluate(parse('!home')).score, 0.3);
+	tune('MachineGun', {limit: {run: 20}});
+	assert.deepEqual(RULES.find(r => r.name === 'MachineGun').limit, {ms: 200, run: 20});
+	assert.equal(label(evaluate(parse(GUN))), 'Home:home');
+	assert.throws(() => tune('Nope', {weight: 1}), /Unknown bot rule/);
+});
+
+test('score bands raise the security digit by one, or to 2 at BLOCK', async () => {
+	assert.equal(await reply(`score=0000000000__abc; rhythm_1=0_1_abc_1_0_0_0_500_${CLICKS}`), 'score=1000000000__abc');
+	assert.equal(await reply(`score=1000000000__abc; rhythm_1=0_1_abc_1_0_0_0_500_${CLICKS}`), 'score=2000000000__abc');
+	assert.equal(await reply(`score=0000000000__abc; rhythm_1=0_1_abc_1_0_0_0_500_${CLICKS}`, {STREAMING_BLOCK: '0.9'}), 'score=2000000000__abc');
+});
+
+test('a score field the edge could not have set counts as forged, never as digits', async () => {
+	const beat = `rhythm_1=0_1_abc_1_0_0_0_500_${CLICKS}`;
+	assert.equal(await reply(`score=x; ${beat}`), 'score=2000000000__abc');
+	assert.equal(await reply(`score=9900000000__abc; ${beat}`), 'score=2000000000__abc');
+	assert.equal(await reply(`score=x; ${beat}`, {SCORE_KEY: 'secret'}), 'score=2000000000__abc');
+});
+
+test('scan() keeps the strongest verdict across every rhythm_N', async () => {
+	const steps = 'rhythm_1=0_1_abc_1_0_0_0_500_!home~100*a~120*b~140*c~160*d', gun = `rhythm_2=0_1_abc_1_0_0_0_500_${CLICKS}`;
+	assert.equal(label((await scan(steps, {})).bot), 'Arithmetic:+20');
+	assert.equal(label((await scan(`${steps}; ${gun}`, {})).bot), 'MachineGun:10');
+	assert.equal(label((await scan(`${gun}; ${steps}`, {})).bot), 'MachineGun:10');
+});
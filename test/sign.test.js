@@ -0,0 +1,57 @@
+/**
+ * Edge Runner - Score Signing Tests
+ * Copyright (c) 2025 Aidgn
+ * AGPL-3.0-or-later - See LICENSE file for details
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { split, sign, verify, mac } from '../sign.js';
+
+const NOW = 1735689600000, DAY = 86400;
+
+// verify() status for a field signed with secret, checked against [current, previous]
+async function check(field, {secret = 'current', signed = field, hash = 'abcd1234', secrets = ['current', 'old'], now = NOW} = {}) {
+	const {sig} = split(`x.${await sign(signed, hash, secret, NOW)}`);
+	return verify(field, hash, sig, secrets, DAY, now);
+}
+
+test('split() always returns field, time, hash and tabs', () => {
+	assert.deepEqual(split('0000000000'), {score: ['0000000000', '', '', ''], sig: ''});
+	assert.deepEqual(split('1000000000__abcd'), {score: ['1000000000', '', 'abcd', ''], sig: ''});
+	assert.deepEqual(split('1000000000_17356_abcd___2.k.1.f.m'), {score: ['1000000000', '17356', 'abcd', '___2'], sig: 'k.1.f.m'});
+});
+
+test('mac() is a keyed 128-bit hex digest', async () => {
+	assert.match(await mac('secret', 'text'), /^[0-9a-f]{32}$/);
+	assert.equal(await mac('secret', 'text'), await mac('secret', 'text'));
+	assert.notEqual(await mac('secret', 'text'), await mac('other', 'text'));
+});
+
+test('verify() accepts its own signature and rejects a changed field, hash or MAC', async () => {
+	assert.deepEqual(await check('1000000000'), {status: 'valid', field: '1000000000', stale: false});
+	assert.equal((await check('0000000000', {signed: '1000000000'})).status, 'forged'); // Security digit lowered
+	const {sig} = split(`x.${await sign('1000000000', 'abcd1234', 'current', NOW)}`);
+	assert.equal((await verify('1000000000', 'ffff0000', sig, ['current'], DAY, NOW)).status, 'forged');
+	assert.equal((await verify('1000000000', 'abcd1234', sig.replace(/.$/, c => c === '0' ? '1' : '0'), ['current'], DAY, NOW)).status, 'forged');
+	assert.deepEqual(await verify('1000000000', 'abcd1234', '', ['current'], DAY, NOW), {status: 'unsigned'});
+});
+
+test('verify() lets the client acknowledge personalization only', async () => {
+	assert.equal((await check('0000000000', {signed: '0100000000'})).status, 'valid'); // 1 -> 0 repeat
+	assert.equal((await check('0200000000', {signed: '0100000000'})).status, 'valid'); // 1 -> 2 one time
+	assert.equal((await check('0100000000', {signed: '0000000000'})).status, 'forged'); // 0 -> 1 is the edge's move
+	assert.equal((await check('0100000000', {signed: '0200000000'})).status, 'forged');
+	assert.equal((await check('01000000', {signed: '0100000000'})).status, 'forged');
+});
+
+test('verify() keeps the previous secret valid for the grace period only', async () => {
+	assert.deepEqual(await check('1000000000', {secret: 'old'}), {status: 'valid', field: '1000000000', stale: true});
+	assert.equal((await check('1000000000', {secret: 'old', now: NOW + (DAY + 1) * 1000})).status, 'forged');
+	assert.equal((await check('1000000000', {secret: 'current', now: NOW + 30 * DAY * 1000})).status, 'valid');
+});
+
+test('verify() treats an unknown key id as forged, not unsigned', async () => {
+	assert.equal((await check('1000000000', {secret: 'made-up'})).status, 'forged');
+	assert.equal((await verify('1000000000', 'abcd1234', 'zzzzzz.1.1000000000.deadbeef', ['current'], DAY, NOW)).status, 'forged');
+});
@@ -0,0 +1,63 @@
+/**
+ * Edge Runner - State Store Tests
+ * Copyright (c) 2025 Aidgn
+ * AGPL-3.0-or-later - See LICENSE file for details
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { memory, kv } from '../store.js';
+import { scan } from '../edgerunner.js';
+
+test('memory() stores text and reads it back as JSON on request', async () => {
+	const binding = memory();
+	await binding.put('a', '{"level":2}');
+	assert.equal(await binding.get('a'), '{"level":2}');
+	assert.deepEqual(await binding.get('a', 'json'), {level: 2});
+	assert.equal(await binding.get('missing'), null);
+	await binding.delete('a');
+	assert.equal(await binding.get('a'), null);
+});
+
+test('memory() expires entries after expirationTtl', async t => {
+	const binding = memory();
+	let now = 1735689600000;
+	t.mock.method(Date, 'now', () => now);
+	await binding.put('session:x', '1', {expirationTtl: 60});
+	assert.equal(await binding.get('session:x'), '1');
+	now += 60000;
+	assert.equal(await binding.get('session:x'), null);
+	assert.deepEqual((await binding.list()).keys, []);
+});
+
+test('memory() lists keys by prefix in order', async () => {
+	const binding = memory();
+	for (const key of ['frag:b:2', 'session:a', 'frag:b:1', 'frag:c:1']) await binding.put(key, '');
+	assert.deepEqual(await binding.list({prefix: 'frag:b:'}), {keys: [{name: 'frag:b:1'}, {name: 'frag:b:2'}], list_complete: true});
+});
+
+test('kv() speaks JSON, keeps the 60s KV minimum TTL and follows list cursors', async () => {
+	const puts = [];
+	const pages = [{keys: [{name: 'k1'}], list_complete: false, cursor: 'c1'}, {keys: [{name: 'k2'}], list_complete: true}];
+	const store = kv({
+		get: async (key, type) => (assert.equal(type, 'json'), {key}),
+		put: async (...args) => puts.push(args),
+		delete: async () => {},
+		list: async ({cursor}) => pages[cursor ? 1 : 0]
+	});
+	assert.deepEqual(await store.get('x'), {key: 'x'});
+	await store.put('x', {level: 1}, 5);
+	await store.put('y', {level: 0});
+	assert.deepEqual(puts, [['x', '{"level":1}', {expirationTtl: 60}], ['y', '{"level":0}', undefined]]);
+	assert.deepEqual(await store.list('k'), ['k1', 'k2']);
+});
+
+test('escalation stored in memory() survives a cleared score cookie', async () => {
+	const env = {SESSIONS: memory()};
+	await kv(env.SESSIONS).put('session:abcd1234', {level: 2, updated: Date.now(), detections: []});
+	const match = await scan('rhythm_1=0_1735680000_abcd1234_1_0_0_0_500_!home~23', env);
+	assert.equal(match.hash, 'abcd1234');
+	assert.equal(match.cookie, '');
+	assert.equal(match.score[0], '2000000000');
+	assert.equal(match.score[2], 'abcd1234');
+});